@@ -0,0 +1,97 @@
+// Builds the binary joist library files the library demos load in place of
+// tessellating in the browser (see src/demos/Joists/JoistLibraryFile.js).
+//
+// Usage: node scripts/buildJoistLibrary.mjs [library ...] [--profile <json>] [--catalogue <csv|json> ...]
+//
+// Libraries: whatif (WhatIfTheJoistsAreDifferentButFastToo) and bigkahuna
+// (TheBigKahuna); both by default. Files are written to src/libraries/.
+//
+// With --catalogue, the libraries hold the joists of the given manufacturer
+// or house catalogues (see src/demos/Joists/JoistCatalogue.js) instead of
+// their generated variants. A --profile maps the column headings of the
+// catalogues after it; the house profile is used until the first one.
+//
+// Needs Node 14.8 or later (top-level await); package.json declares the
+// sources ES modules, so they import without a module type warning.
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import initOpenCascade from "opencascade.js/dist/node.js";
+import { parseJoistCatalogue } from "../src/demos/Joists/JoistCatalogue.js";
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const outputDir = path.join(root, "src", "libraries");
+
+const LIBRARIES = {
+  whatif: {
+    module: "src/demos/WhatIfTheJoistsAreDifferentButFastToo/WhatIfTheJoistsAreDifferentButFastToo.js",
+    file: "whatif-joists.jlib",
+  },
+  bigkahuna: {
+    module: "src/demos/TheBigKahuna/TheBigKahuna.js",
+    file: "big-kahuna-joists.jlib",
+  },
+};
+
+const names = [];
+const catalogues = [];  // {file, profile}
+let activeProfile;
+const args = process.argv.slice(2);
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === "--catalogue" || args[i] === "--profile") {
+    if (i + 1 >= args.length) {
+      console.error(`${args[i]} needs a file`);
+      process.exit(1);
+    }
+    const file = path.resolve(args[++i]);
+    if (args[i - 1] === "--profile") {
+      activeProfile = JSON.parse(fs.readFileSync(file, "utf8"));
+    } else {
+      catalogues.push({ file, profile: activeProfile });
+    }
+  } else {
+    names.push(args[i]);
+  }
+}
+const unknown = names.filter(name => !(name in LIBRARIES));
+if (unknown.length > 0) {
+  console.error(`Unknown library ${unknown.join(", ")} (libraries: ${Object.keys(LIBRARIES).join(", ")})`);
+  process.exit(1);
+}
+
+// Read before OpenCascade loads, so bad rows are reported straight away
+let catalogue;
+try {
+  catalogue = catalogues.length > 0
+    ? catalogues.flatMap(({ file, profile }) => parseJoistCatalogue(fs.readFileSync(file, "utf8"), {
+      format: path.extname(file).toLowerCase() === ".json" ? "json" : "csv",
+      profile,
+      source: path.basename(file),
+    }))
+    : undefined;
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+const wasmBinary = fs.readFileSync(path.join(root, "node_modules", "opencascade.js", "dist", "opencascade.full.wasm"));
+const oc = await initOpenCascade({ module: { wasmBinary } });
+fs.mkdirSync(outputDir, { recursive: true });
+
+for (const name of names.length > 0 ? names : Object.keys(LIBRARIES)) {
+  const { module, file } = LIBRARIES[name];
+  const library = await import(pathToFileURL(path.join(root, module)).href);
+
+  const start = Date.now();
+  await library.initializeJoistLibrary(oc, catalogue);
+  const contents = await library.exportJoistLibrary((loaded, total) => {
+    if (loaded % 25 === 0 || loaded === total) {
+      console.log(`${name}: tessellated ${loaded} of ${total} joists`);
+    }
+  });
+
+  const output = path.join(outputDir, file);
+  fs.writeFileSync(output, Buffer.from(contents));
+  const megabytes = (contents.byteLength / 1024 / 1024).toFixed(1);
+  console.log(`${name}: wrote ${path.relative(root, output)} (${megabytes} MB) in ${((Date.now() - start) / 1000).toFixed(1)}s`);
+}
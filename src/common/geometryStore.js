@@ -0,0 +1,119 @@
+/**
+ * Persistent Geometry Store
+ *
+ * Keeps tessellated Three.js BufferGeometry in the browser's IndexedDB, so
+ * geometry built on one page load can be reused on the next without running
+ * OpenCascade again. Geometry is stored as its typed attribute and index
+ * arrays under a caller-chosen key.
+ *
+ * Where IndexedDB is unavailable (Node, private browsing) or fails, every
+ * lookup misses and stores are dropped: the store only ever saves work.
+ */
+
+import * as THREE from "three";
+
+const DB_NAME = "joist-geometry";
+const DB_VERSION = 1;
+const STORE_NAME = "geometries";
+
+let database = null;  // Promise of the open database, or of null without one
+
+// Resolves an IDBRequest
+const requestResult = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+function openDatabase() {
+  if (!database) {
+    if (typeof indexedDB === "undefined") {
+      database = Promise.resolve(null);
+    } else {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+      database = requestResult(request).catch(error => {
+        console.warn("Geometry store unavailable, tessellating without it:", error);
+        return null;
+      });
+    }
+  }
+  return database;
+}
+
+// Runs `operation` on the object store; resolves to null without a database
+async function withStore(mode, operation) {
+  const db = await openDatabase();
+  if (!db) {
+    return null;
+  }
+  const transaction = db.transaction(STORE_NAME, mode);
+  const completed = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+  const [result] = await Promise.all([
+    requestResult(operation(transaction.objectStore(STORE_NAME))),
+    completed,
+  ]);
+  return result;
+}
+
+/**
+ * Loads stored geometry.
+ *
+ * @param {string} key - Key the geometry was stored under
+ * @returns {Promise<THREE.BufferGeometry|null>} The geometry, or null when not stored
+ */
+export async function loadStoredGeometry(key) {
+  let record;
+  try {
+    record = await withStore("readonly", store => store.get(key));
+  } catch (error) {
+    console.warn(`Could not read geometry ${key} from the store:`, error);
+    return null;
+  }
+  if (!record) {
+    return null;
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  Object.entries(record.attributes).forEach(([name, { array, itemSize }]) => {
+    geometry.setAttribute(name, new THREE.BufferAttribute(array, itemSize));
+  });
+  if (record.index) {
+    geometry.setIndex(new THREE.BufferAttribute(record.index, 1));
+  }
+  return geometry;
+}
+
+/**
+ * Stores geometry, replacing anything stored under the same key. Failures
+ * (quota, blocked database) are logged and otherwise ignored.
+ *
+ * @param {string} key - Key to store under
+ * @param {THREE.BufferGeometry} geometry - Geometry to store
+ * @returns {Promise<void>}
+ */
+export async function storeGeometry(key, geometry) {
+  const attributes = {};
+  Object.entries(geometry.attributes).forEach(([name, attribute]) => {
+    attributes[name] = { array: attribute.array, itemSize: attribute.itemSize };
+  });
+  const record = { attributes, index: geometry.index ? geometry.index.array : null };
+
+  try {
+    await withStore("readwrite", store => store.put(record, key));
+  } catch (error) {
+    console.warn(`Could not write geometry ${key} to the store:`, error);
+  }
+}
+
+/**
+ * Removes all stored geometry.
+ *
+ * @returns {Promise<void>}
+ */
+export async function clearGeometryStore() {
+  await withStore("readwrite", store => store.clear());
+}
@@ -389,8 +389,14 @@ export function setupThreeJSViewport() {
  * @param {Object} openCascade - OpenCascade.js instance
  * @param {Object} shape - OpenCascade shape to add
  * @param {Scene} scene - Three.js scene to add the mesh to
+ * @param {Object} [options] - Mesh name (a mesh with the same name is replaced),
+ *   color and opacity
  */
-export async function addShapeToScene(openCascade, shape, scene) {
+export async function addShapeToScene(openCascade, shape, scene, {
+  name = "shape",
+  color = new Color(0.8, 0.8, 0.8),
+  opacity = 1,
+} = {}) {
   // Initialize the helper with the OpenCascade instance
   openCascadeHelper.setOpenCascade(openCascade);
 
@@ -419,9 +425,11 @@ export async function addShapeToScene(openCascade, shape, scene) {
   // === MESH CREATION ===
   // Create material with standard properties for CAD visualization
   const objectMat = new MeshStandardMaterial({
-    color: new Color(0.8, 0.8, 0.8), // Light gray
+    color: color,                     // Light gray by default
     metalness: 0.2,                   // Slight metallic look
     roughness: 0.6,                   // Not too shiny
+    transparent: opacity < 1,
+    opacity: opacity,
   });
   
   // Create Three.js geometry and assign mesh data
@@ -431,12 +439,12 @@ export async function addShapeToScene(openCascade, shape, scene) {
   
   // Create the final mesh
   const object = new Mesh(geometry, objectMat);
-  object.name = "shape"; // Name for easy identification
+  object.name = name; // Name for easy identification
 
   // === SCENE MANAGEMENT ===
-  // Remove any existing shape before adding the new one
+  // Remove any existing shape of the same name before adding the new one
   // This prevents accumulation of multiple shapes
-  const existingShape = scene.getObjectByName("shape");
+  const existingShape = scene.getObjectByName(name);
   if (existingShape) {
     scene.remove(existingShape);
   }
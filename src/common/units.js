@@ -0,0 +1,157 @@
+/**
+ * Length Units
+ *
+ * The model works in a single internal unit, inches. Lengths coming in from
+ * parameters and configuration may be given in other units and are converted
+ * with toInternal(); lengths going out to the console, the UI or exported data
+ * are converted to the chosen display unit with formatLength() / fromInternal().
+ */
+
+export const INTERNAL_UNIT = 'in';
+
+// Inches per unit
+export const LENGTH_UNITS = Object.freeze({
+  in: 1,
+  ft: 12,
+  mm: 1 / 25.4,
+  cm: 10 / 25.4,
+  m: 1000 / 25.4,
+});
+
+// Display units: any length unit, or 'ft-in' for feet and inches (48'-6")
+export const DISPLAY_UNITS = Object.freeze(['ft-in', ...Object.keys(LENGTH_UNITS)]);
+
+const UNIT_SYMBOLS = { in: '"', ft: "'", mm: ' mm', cm: ' cm', m: ' m' };
+const DEFAULT_PRECISION = { in: 2, ft: 2, mm: 0, cm: 1, m: 3 };
+const UNIT_ALIASES = { '"': 'in', "'": 'ft' };
+
+let displayUnit = 'ft-in';
+
+/**
+ * Sets the unit used by formatLength() and fromInternal() by default.
+ *
+ * @param {string} unit - One of DISPLAY_UNITS
+ */
+export function setDisplayUnit(unit) {
+  if (!DISPLAY_UNITS.includes(unit)) {
+    throw new Error(`Display unit must be one of ${DISPLAY_UNITS.join(', ')} (got ${unit})`);
+  }
+  displayUnit = unit;
+}
+
+/**
+ * Sets the display unit from the page's `units` query parameter (?units=m),
+ * leaving it unchanged when there is none.
+ *
+ * @param {string} [search] - Query string, the current page's by default
+ */
+export function setDisplayUnitFromURL(search = window.location.search) {
+  const unit = new URLSearchParams(search).get('units');
+  if (unit) {
+    setDisplayUnit(unit);
+  }
+}
+
+/**
+ * @returns {string} The current display unit
+ */
+export function getDisplayUnit() {
+  return displayUnit;
+}
+
+const requireLengthUnit = (unit) => {
+  if (!(unit in LENGTH_UNITS)) {
+    throw new Error(`Length unit must be one of ${Object.keys(LENGTH_UNITS).join(', ')} (got ${unit})`);
+  }
+};
+
+/**
+ * Converts a length to inches. Numbers are taken to be in `unit`; strings may
+ * carry their own unit: "48'", "48 ft", "48'-6\"", "36\"", "1200 mm", "14.6 m".
+ *
+ * @param {number|string} value - Length
+ * @param {string} [unit] - Unit of plain numbers, one of LENGTH_UNITS
+ * @returns {number} Length in inches
+ */
+export function toInternal(value, unit = INTERNAL_UNIT) {
+  requireLengthUnit(unit);
+  if (typeof value === 'number') {
+    return value * LENGTH_UNITS[unit];
+  }
+  if (typeof value !== 'string') {
+    throw new Error(`Length must be a number or a string (got ${value})`);
+  }
+
+  const feetInches = /^\s*(-?)(\d+(?:\.\d+)?)\s*(?:'|ft)\s*-?\s*(?:(\d+(?:\.\d+)?)\s*(?:"|in)?)?\s*$/.exec(value);
+  if (feetInches) {
+    const [, sign, feet, inches = '0'] = feetInches;
+    return (sign ? -1 : 1) * (Number(feet) * 12 + Number(inches));
+  }
+
+  const withUnit = /^\s*(-?\d+(?:\.\d+)?(?:e[-+]?\d+)?)\s*(mm|cm|m|in|ft|"|')?\s*$/i.exec(value);
+  if (!withUnit) {
+    throw new Error(`Cannot read length "${value}"`);
+  }
+  const [, number, suffix] = withUnit;
+  const valueUnit = suffix ? (UNIT_ALIASES[suffix] ?? suffix.toLowerCase()) : unit;
+  return Number(number) * LENGTH_UNITS[valueUnit];
+}
+
+/**
+ * Converts inches to a unit ('ft-in' gives decimal feet).
+ *
+ * @param {number} inches - Length in inches
+ * @param {string} [unit] - One of DISPLAY_UNITS, the display unit by default
+ * @returns {number} Length in `unit`
+ */
+export function fromInternal(inches, unit = displayUnit) {
+  const lengthUnit = unit === 'ft-in' ? 'ft' : unit;
+  requireLengthUnit(lengthUnit);
+  return inches / LENGTH_UNITS[lengthUnit];
+}
+
+// Rounds and drops trailing zeros
+const trimmed = (value, precision) => String(Number(value.toFixed(precision)));
+
+/**
+ * Formats a length in inches for display, e.g. 48'-6", 14.63 m or 914 mm.
+ *
+ * @param {number} inches - Length in inches
+ * @param {Object} [options] - unit (one of DISPLAY_UNITS, the display unit by
+ *   default) and precision (decimal places)
+ * @returns {string} Formatted length
+ */
+export function formatLength(inches, { unit = displayUnit, precision } = {}) {
+  if (unit === 'ft-in') {
+    const digits = precision ?? DEFAULT_PRECISION.in;
+    const sign = inches < 0 ? '-' : '';
+    const totalInches = Number(Math.abs(inches).toFixed(digits));
+    const feet = Math.floor(totalInches / 12);
+    return `${sign}${feet}'-${trimmed(totalInches - feet * 12, digits)}"`;
+  }
+  const value = fromInternal(inches, unit);
+  return `${trimmed(value, precision ?? DEFAULT_PRECISION[unit])}${UNIT_SYMBOLS[unit]}`;
+}
+
+const isLengthValue = (value) => typeof value === 'number' || typeof value === 'string';
+
+/**
+ * Converts the listed length fields of an object to inches. Fields that are
+ * missing or not lengths (per `isLength`; numbers and strings by default) are
+ * copied unchanged, leaving them to the caller's validation.
+ *
+ * @param {Object} values - Object holding lengths
+ * @param {string[]} keys - Length fields
+ * @param {string} unit - Unit of plain numbers
+ * @param {Function} [isLength] - (value, key) => whether to convert
+ * @returns {Object} Copy with the length fields in inches
+ */
+export function lengthsToInternal(values, keys, unit, isLength = isLengthValue) {
+  const converted = { ...values };
+  keys.forEach(key => {
+    if (key in converted && isLength(converted[key], key)) {
+      converted[key] = toInternal(converted[key], unit);
+    }
+  });
+  return converted;
+}
@@ -1,25 +1,53 @@
 // BaysOfJoists.js
 import { CreateJoist } from '../Joists/Joist.js';
+import { buildBayBridging, buildBayGirders } from '../Joists/BayFraming.js';
+import { DEFAULT_JOIST_PARAMS } from '../Joists/JoistParams.js';
+import { formatLength, toInternal } from '../../common/units.js';
+
+// Building dimensions, in `units` (see common/units.js). Each value may also be
+// a string carrying its own unit, e.g. "2.4 m" or "8'-0\"".
+export const DEFAULT_BAY_DIMENSIONS = Object.freeze({
+  units: 'ft',
+  joistSpacing: 8,
+  bayWidth: 48,        // Width of each bay, which is also the joist span
+  girderDepth: 5,
+});
+
+// A copy of a shape moved by an [x, y, z] translation in inches
+function translatedCopy(oc, shape, [x, y, z]) {
+  const transform = new oc.gp_Trsf_1();
+  transform.SetTranslation_1(new oc.gp_Vec_4(x, y, z));
+  const transformer = new oc.BRepBuilderAPI_Transform_2(shape, transform, true);
+  const copy = transformer.Shape();
+  transform.delete();
+  transformer.delete();
+  return copy;
+}
 
 // This function creates a building roof structure with multiple bays of joists
 // I've added a progressCallback parameter to report the status
-export async function CreateBaysOfJoists(oc, progressCallback) {
+// `dimensions` may override any value in DEFAULT_BAY_DIMENSIONS.
+export async function CreateBaysOfJoists(oc, progressCallback, dimensions = {}) {
   // =================================================================================
   // 1. DEFINE PARAMETERS
   // =================================================================================
   
+  const { units, ...lengths } = { ...DEFAULT_BAY_DIMENSIONS, ...dimensions };
+  
   const joistsPerBay = 50;
   const numberOfBays = 5;
-  const joistSpacing = 8 * 12;    // 8 feet in inches
-  const bayWidth = 48 * 12;       // 48 feet in inches (width of each joist)
+  const joistSpacing = toInternal(lengths.joistSpacing, units);  // Converted to inches
+  const bayWidth = toInternal(lengths.bayWidth, units);
+  const girderDepth = toInternal(lengths.girderDepth, units);
   const totalJoists = numberOfBays * joistsPerBay;
+  const girderPanels = 7;         // Joist spaces per girder (49 = 7 x 7)
   
   // Calculate total dimensions
   const totalLength = (joistsPerBay - 1) * joistSpacing;  // Length of one bay
   const totalWidth = numberOfBays * bayWidth;              // Total width across all bays
   
   console.log(`Creating ${numberOfBays} bays with ${joistsPerBay} joists each...`);
-  console.log(`Total dimensions: ${totalLength/12}' x ${totalWidth/12}'`);
+  console.log(`Total dimensions: ${formatLength(totalLength)} x ${formatLength(totalWidth)}`);
   console.log(`Total joists to create: ${totalJoists}`);
   
   // =================================================================================
@@ -28,7 +56,12 @@ export async function CreateBaysOfJoists(oc, progressCallback) {
   
   console.log("Creating joist template...");
   if (progressCallback) progressCallback("Creating joist template...", 0, totalJoists);
-  const templateJoist = await CreateJoist(oc);
+  // The joists span the bay; the bottom chord keeps the default setback from each bearing
+  const joistParams = {
+    topChordLength: bayWidth,
+    bottomChordLength: bayWidth - (DEFAULT_JOIST_PARAMS.topChordLength - DEFAULT_JOIST_PARAMS.bottomChordLength),
+  };
+  const templateJoist = await CreateJoist(oc, joistParams);
   
   // =================================================================================
   // 3. CREATE ALL JOISTS BY COPYING AND TRANSFORMING
@@ -84,7 +117,28 @@ export async function CreateBaysOfJoists(oc, progressCallback) {
   templateJoist.delete();
   
   // =================================================================================
-  // 4. ASSEMBLE THE COMPLETE STRUCTURE
+  // 4. ADD BRIDGING BETWEEN THE JOISTS OF EACH BAY
+  // =================================================================================
+  
+  // Every bay has the same joists, so one bay's bridging is copied to each
+  const bays = { joistsPerBay, joistSpacing, numberOfBays, bayWidth };
+  const { shape: bayBridging, translations: bridgingTranslations } = await buildBayBridging(oc, bays, joistParams);
+  bridgingTranslations.forEach(translation => allBayParts.push(translatedCopy(oc, bayBridging, translation)));
+  
+  bayBridging.delete();
+  
+  // =================================================================================
+  // 5. ADD JOIST GIRDERS ALONG EACH BAY LINE
+  // =================================================================================
+  
+  const { shape: templateGirder, translations: girderTranslations } =
+    await buildBayGirders(oc, bays, { panels: girderPanels, depth: girderDepth }, joistParams);
+  girderTranslations.forEach(translation => allBayParts.push(translatedCopy(oc, templateGirder, translation)));
+  
+  templateGirder.delete();
+  
+  // =================================================================================
+  // 6. ASSEMBLE THE COMPLETE STRUCTURE
   // =================================================================================
   
   console.log("Assembling complete structure...");
@@ -1,7 +1,9 @@
 import initOpenCascade from "opencascade.js";
 import * as THREE from "three";
 import { CreateJoist } from '../Joists/Joist.js';
+import { createBayBridging, createBayGirders } from '../Joists/BayFraming.js';
 import { setupThreeJSViewport } from '../../common/scene.js';
+import { formatLength, setDisplayUnitFromURL, toInternal } from '../../common/units.js';
 
 function tessellateShape(oc, shape) {
   // Apply mesh generation with appropriate parameters
@@ -109,6 +111,9 @@ async function main() {
     return;
   }
 
+  // Lengths are logged in the display unit, e.g. ?units=m (feet and inches by default)
+  setDisplayUnitFromURL();
+
   try {
     progressText.innerText = "Initializing OpenCascade...";
     const oc = await initOpenCascade();
@@ -127,8 +132,11 @@ async function main() {
 
     const joistsPerBay = 50;
     const numberOfBays = 5;
-    const joistSpacing = 8 * 12;    // 8 feet in inches
-    const bayWidth = 48 * 12;       // 48 feet in inches (width of each joist)
+    const units = 'ft';             // Unit of the lengths below (see common/units.js)
+    const joistSpacing = toInternal(8, units);
+    const bayWidth = toInternal(48, units);     // Width of each bay (the joist span)
+    const girderPanels = 7;         // Joist spaces per girder (49 = 7 x 7)
+    const girderDepth = toInternal(5, units);
     const totalJoists = numberOfBays * joistsPerBay;
 
     // Calculate total dimensions
@@ -136,7 +144,7 @@ async function main() {
     const totalWidth = numberOfBays * bayWidth;              // Total width across all bays
 
     console.log(`Creating ${numberOfBays} bays with ${joistsPerBay} joists each...`);
-    console.log(`Total dimensions: ${totalLength/12}' x ${totalWidth/12}'`);
+    console.log(`Total dimensions: ${formatLength(totalLength)} x ${formatLength(totalWidth)}`);
     console.log(`Total joists to create: ${totalJoists}`);
 
     const instancedMesh = new THREE.InstancedMesh(
@@ -176,6 +184,15 @@ async function main() {
 
     instancedMesh.instanceMatrix.needsUpdate = true;
 
+    // === BRIDGING ===
+    progressText.innerText = "Creating bridging...";
+    const bays = { joistsPerBay, joistSpacing, numberOfBays, bayWidth };
+    scene.add(await createBayBridging(oc, bays));
+
+    // === JOIST GIRDERS ===
+    progressText.innerText = "Creating joist girders...";
+    scene.add(await createBayGirders(oc, bays, { panels: girderPanels, depth: girderDepth }));
+
     console.log(`Instanced mesh created with ${totalJoists} joists!`);
     progressText.innerText = "Complete!";
     
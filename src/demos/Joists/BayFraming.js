@@ -0,0 +1,120 @@
+// BayFraming.js
+//
+// Framing between and under the joists of the bay demos: bridging and joist
+// girders. Every bay has the same joists, so each kind of member is built and
+// tessellated once and instanced per bay (and floor).
+import * as THREE from 'three';
+import { CreateBridging } from './Bridging.js';
+import { CreateJoistGirder } from './JoistGirder.js';
+import { resolveJoistParams } from './JoistParams.js';
+import { tessellateJoistShape } from './JoistVariants.js';
+import { formatLength } from '../../common/units.js';
+
+// Joist positions across one bay, ascending and centred on the bay
+const bayJoistXs = ({ joistsPerBay, joistSpacing }) =>
+  Array.from({ length: joistsPerBay }, (_, i) => (i - (joistsPerBay - 1) / 2) * joistSpacing);
+
+// Centre line of each bay, the bays centred on the origin
+const bayCentreZs = ({ numberOfBays, bayWidth }) =>
+  Array.from({ length: numberOfBays }, (_, i) => (i + 0.5 - numberOfBays / 2) * bayWidth);
+
+// Bay lines either side of every bay
+const bayLineZs = ({ numberOfBays, bayWidth }) =>
+  Array.from({ length: numberOfBays + 1 }, (_, i) => (i - numberOfBays / 2) * bayWidth);
+
+const createInstances = (oc, shape, translations) => {
+  const geometry = tessellateJoistShape(oc, shape);
+  const material = new THREE.MeshPhongMaterial({ color: 0xcccccc, side: THREE.DoubleSide });
+  const instances = new THREE.InstancedMesh(geometry, material, translations.length);
+  translations.forEach((translation, i) => instances.setMatrixAt(i, new THREE.Matrix4().makeTranslation(...translation)));
+  instances.instanceMatrix.needsUpdate = true;
+  return instances;
+};
+
+/**
+ * Bridging between the joists of one bay (see Bridging.js), and where a copy
+ * of it goes in every bay and floor. createBayBridging() instances it; a BRep
+ * model of the building copies the shape instead.
+ *
+ * @param {Object} oc - OpenCascade.js instance
+ * @param {Object} bays - {joistsPerBay, joistSpacing, numberOfBays, bayWidth,
+ *   floorYs}: lengths in inches, floorYs the level of each floor ([0] for one)
+ * @param {Object} [joistParams] - Partial joist parameters of the bays' joists
+ * @returns {Promise<Object>} {shape, layout, translations}: the bridging of
+ *   one bay (the caller deletes it), its layout and the [x, y, z] translation
+ *   of each copy
+ */
+export async function buildBayBridging(oc, bays, joistParams = {}) {
+  const { floorYs = [0] } = bays;
+  const { shape, layout } = await CreateBridging(oc, joistParams, bayJoistXs(bays));
+  const translations = floorYs.flatMap(y => bayCentreZs(bays).map(z => [0, y, z]));
+
+  console.log(`Bridging: ${layout.rowZs.length} ${layout.type} rows per bay, ` +
+    `${formatLength(layout.totalLength * translations.length)} in total`);
+  return { shape, layout, translations };
+}
+
+/**
+ * Bridging between the joists of every bay (see buildBayBridging()).
+ *
+ * @param {Object} oc - OpenCascade.js instance
+ * @param {Object} bays - As for buildBayBridging()
+ * @param {Object} [joistParams] - Partial joist parameters of the bays' joists
+ * @returns {Promise<THREE.InstancedMesh>} One instance per bay and floor
+ */
+export async function createBayBridging(oc, bays, joistParams = {}) {
+  const { shape, translations } = await buildBayBridging(oc, bays, joistParams);
+  const instances = createInstances(oc, shape, translations);
+  shape.delete();
+  return instances;
+}
+
+/**
+ * A joist girder for the bay lines, and where a copy of it goes along every
+ * bay line: its panel points at the joists, the joists' top chords bearing
+ * on its top chord. createBayGirders() instances it; a BRep model of the
+ * building copies the shape instead.
+ *
+ * @param {Object} oc - OpenCascade.js instance
+ * @param {Object} bays - As for buildBayBridging()
+ * @param {Object} girders - {panels, depth}: joist spaces per girder, which
+ *   must divide the joist spaces of a bay line, and girder depth in inches
+ * @param {Object} [joistParams] - Partial joist parameters of the bays' joists
+ * @returns {Promise<Object>} {shape, span, translations}: the girder (the
+ *   caller deletes it), its span in inches and the [x, y, z] translation of
+ *   each copy
+ */
+export async function buildBayGirders(oc, bays, { panels, depth }, joistParams = {}) {
+  const { joistsPerBay, joistSpacing, floorYs = [0] } = bays;
+  const girdersPerLine = (joistsPerBay - 1) / panels;
+  if (!Number.isInteger(girdersPerLine)) {
+    throw new Error(`Girders of ${panels} panels do not fit the ${joistsPerBay - 1} joist spaces of a bay line`);
+  }
+  const span = panels * joistSpacing;
+  const joist = resolveJoistParams(joistParams);
+  const girderY = joist.joistDepth - joist.angleLeg1 - depth;
+
+  const shape = await CreateJoistGirder(oc, { span, panelSpacing: joistSpacing, depth });
+  const girderXs = Array.from({ length: girdersPerLine }, (_, i) => (i + 0.5 - girdersPerLine / 2) * span);
+  const translations = floorYs.flatMap(y => bayLineZs(bays).flatMap(z =>
+    girderXs.map(x => [x, y + girderY, z])));
+
+  console.log(`Joist girders: ${translations.length} at ${formatLength(span)} spans`);
+  return { shape, span, translations };
+}
+
+/**
+ * Joist girders along every bay line (see buildBayGirders()).
+ *
+ * @param {Object} oc - OpenCascade.js instance
+ * @param {Object} bays - As for buildBayBridging()
+ * @param {Object} girders - As for buildBayGirders()
+ * @param {Object} [joistParams] - Partial joist parameters of the bays' joists
+ * @returns {Promise<THREE.InstancedMesh>} One instance per girder
+ */
+export async function createBayGirders(oc, bays, girders, joistParams = {}) {
+  const { shape, translations } = await buildBayGirders(oc, bays, girders, joistParams);
+  const instances = createInstances(oc, shape, translations);
+  shape.delete();
+  return instances;
+}
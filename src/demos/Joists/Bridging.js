@@ -0,0 +1,58 @@
+// Bridging.js
+import { computeBridgingLayout } from './BridgingLayout.js';
+
+// Builds the bridging for one bay as a compound of angle solids, in the bay
+// coordinates described in BridgingLayout.js.
+// Returns { shape, layout } so callers can report the takeoff from `layout`.
+export async function CreateBridging(oc, joistParams, joistXs, bridgingParams = {}) {
+  const layout = computeBridgingLayout(joistParams, joistXs, bridgingParams);
+  const { angleLeg, angleThickness } = layout;
+
+  const toPnt = ({ x, y, z }, ...offsets) => {
+    const point = offsets.reduce(
+      (p, [dir, distance]) => ({
+        x: p.x + dir[0] * distance,
+        y: p.y + dir[1] * distance,
+        z: p.z + dir[2] * distance,
+      }),
+      { x, y, z }
+    );
+    return new oc.gp_Pnt_3(point.x, point.y, point.z);
+  };
+
+  // L-shaped section at the heel `start`, legs along `a` and `b`, swept to `end`
+  const createAngle = ({ start, end, legDirs: [a, b] }) => {
+    const wire = new oc.BRepBuilderAPI_MakePolygon_1();
+    wire.Add_1(toPnt(start));
+    wire.Add_1(toPnt(start, [a, angleLeg]));
+    wire.Add_1(toPnt(start, [a, angleLeg], [b, angleThickness]));
+    wire.Add_1(toPnt(start, [a, angleThickness], [b, angleThickness]));
+    wire.Add_1(toPnt(start, [a, angleThickness], [b, angleLeg]));
+    wire.Add_1(toPnt(start, [b, angleLeg]));
+    wire.Close();
+    const face = new oc.BRepBuilderAPI_MakeFace_15(wire.Wire(), false).Face();
+
+    const sweepVec = new oc.gp_Vec_4(end.x - start.x, end.y - start.y, end.z - start.z);
+    const prism = new oc.BRepPrimAPI_MakePrism_1(face, sweepVec, false, true);
+    const solid = prism.Shape();
+
+    wire.delete();
+    face.delete();
+    sweepVec.delete();
+    prism.delete();
+
+    return solid;
+  };
+
+  const compoundBuilder = new oc.BRep_Builder();
+  const compound = new oc.TopoDS_Compound();
+  compoundBuilder.MakeCompound(compound);
+
+  layout.members.forEach(member => {
+    const solid = createAngle(member);
+    compoundBuilder.Add(compound, solid);
+    solid.delete();
+  });
+
+  return { shape: compound, layout };
+}
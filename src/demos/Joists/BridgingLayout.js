@@ -0,0 +1,208 @@
+// BridgingLayout.js
+//
+// Pure geometry of the bridging between the joists of one bay. Like
+// JoistLayout.js nothing in here calls OpenCascade, so takeoffs can use it
+// without building solids.
+//
+// Bay coordinates match the bay demos: joists are placed at `joistXs` along
+// X, Y is up and the span runs along Z (a joist built along X and rotated
+// 90 degrees about Y, so joist x becomes bay -z).
+import { resolveJoistParams } from './JoistParams.js';
+import { computeJoistLayout, interpolateY } from './JoistLayout.js';
+
+// Bridging types understood by computeBridgingLayout()
+//  - horizontal: a line of angles at each chord, welded to the chord angles
+//  - diagonal:   X-bridging from the top chord of each joist to the bottom
+//                chord of the next, with horizontal anchors at the end walls
+export const BRIDGING_TYPES = Object.freeze(['horizontal', 'diagonal']);
+
+// Default bridging parameters. All dimensions are in inches.
+export const DEFAULT_BRIDGING_PARAMS = Object.freeze({
+  type: 'horizontal',         // One of BRIDGING_TYPES
+  rows: null,                 // Rows per span, or null to size from span and chord
+  angleLeg: 1.25,             // Bridging angle legs (equal leg)
+  angleThickness: 0.125,
+  endWallOffset: null,        // End wall to outermost joist, or null for half a joist space
+});
+
+// Largest unbraced length over radius of gyration allowed for the chords
+// between rows of bridging
+const TOP_CHORD_MAX_SLENDERNESS = 145;
+const BOTTOM_CHORD_MAX_SLENDERNESS = 240;
+
+/**
+ * Merges user parameters over the bridging defaults and validates the result.
+ *
+ * @param {Object} [params] - Partial bridging parameters
+ * @returns {Object} Complete, validated bridging parameters
+ */
+export function resolveBridgingParams(params = {}) {
+  if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+    throw new Error('Bridging parameters must be an object');
+  }
+
+  const resolved = { ...DEFAULT_BRIDGING_PARAMS };
+  for (const [key, value] of Object.entries(params)) {
+    if (!(key in DEFAULT_BRIDGING_PARAMS)) {
+      throw new Error(`Unknown bridging parameter "${key}"`);
+    }
+    if (value !== undefined) {
+      resolved[key] = value;
+    }
+  }
+
+  if (!BRIDGING_TYPES.includes(resolved.type)) {
+    throw new Error(`Bridging type must be one of ${BRIDGING_TYPES.join(', ')} (got ${resolved.type})`);
+  }
+  if (resolved.rows !== null && (!Number.isInteger(resolved.rows) || resolved.rows < 1)) {
+    throw new Error(`Bridging parameter "rows" must be an integer >= 1 or null (got ${resolved.rows})`);
+  }
+  ['angleLeg', 'angleThickness'].forEach(key => {
+    const value = resolved[key];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+      throw new Error(`Bridging parameter "${key}" must be a positive number (got ${value})`);
+    }
+  });
+  if (resolved.angleThickness >= resolved.angleLeg) {
+    throw new Error('Bridging angle thickness must be smaller than its leg');
+  }
+  const { endWallOffset } = resolved;
+  if (endWallOffset !== null
+    && (typeof endWallOffset !== 'number' || !Number.isFinite(endWallOffset) || endWallOffset < 0)) {
+    throw new Error(`Bridging parameter "endWallOffset" must be a non-negative number or null (got ${endWallOffset})`);
+  }
+
+  return resolved;
+}
+
+/**
+ * Radius of gyration of a double angle chord about its vertical axis, the
+ * axis the chord buckles about between rows of bridging.
+ *
+ * @param {Object} joistParams - Validated joist parameters
+ * @returns {number} Radius of gyration
+ */
+export function chordLateralRadiusOfGyration({ angleLeg1, angleLeg2, angleThickness, angleGap }) {
+  // Each angle as its vertical leg plus the rest of the horizontal leg,
+  // measured from the centre of the gap
+  const back = angleGap / 2;
+  const rectangles = [
+    [angleLeg1, back, back + angleThickness],
+    [angleThickness, back + angleThickness, back + angleLeg2],
+  ];
+  const area = 2 * rectangles.reduce((sum, [h, z1, z2]) => sum + h * (z2 - z1), 0);
+  const inertia = 2 * rectangles.reduce((sum, [h, z1, z2]) => sum + h * (z2 ** 3 - z1 ** 3) / 3, 0);
+  return Math.sqrt(inertia / area);
+}
+
+/**
+ * Number of bridging rows a joist needs so neither chord exceeds its
+ * slenderness limit between rows.
+ *
+ * @param {Object} joistParams - Validated joist parameters
+ * @returns {number} Rows of bridging (at least one)
+ */
+export function bridgingRowCount(joistParams) {
+  const r = chordLateralRadiusOfGyration(joistParams);
+  const maxSpacing = Math.min(TOP_CHORD_MAX_SLENDERNESS, BOTTOM_CHORD_MAX_SLENDERNESS) * r;
+  return Math.max(1, Math.ceil(joistParams.topChordLength / maxSpacing) - 1);
+}
+
+/**
+ * Computes the bridging members between the joists of one bay.
+ *
+ * Every member is a straight equal-leg angle described by its heel line from
+ * `start` to `end` and the two directions its legs run from the heel
+ * (`legDirs`), all in bay coordinates.
+ *
+ * @param {Object} joistParams - Partial joist parameters (as for CreateJoist)
+ * @param {number[]} joistXs - Joist positions across the bay, ascending
+ * @param {Object} [bridgingParams] - Partial bridging parameters
+ * @returns {Object} {type, rowZs, members, memberCount, totalLength}
+ */
+export function computeBridgingLayout(joistParams, joistXs, bridgingParams = {}) {
+  const joist = resolveJoistParams(joistParams);
+  const bridging = resolveBridgingParams(bridgingParams);
+  if (!Array.isArray(joistXs) || joistXs.length < 2) {
+    throw new Error('Bridging needs at least two joist positions');
+  }
+
+  const { topChordLength, angleLeg1, angleThickness, angleGap } = joist;
+  const { type, angleLeg } = bridging;
+  const rowCount = bridging.rows ?? bridgingRowCount(joist);
+  const layout = computeJoistLayout(joist);
+
+  // Rows divide the span equally, so the end rows sit one space in from the
+  // bearings at the end walls
+  const rowXs = Array.from({ length: rowCount },
+    (_, i) => -topChordLength / 2 + (i + 1) * topChordLength / (rowCount + 1));
+
+  // Outside faces of a joist's chord vertical legs
+  const chordFace = angleGap / 2 + angleThickness;
+  const spacing = joistXs[1] - joistXs[0];
+  const wallOffset = bridging.endWallOffset ?? spacing / 2;
+  if (spacing <= 2 * chordFace || wallOffset <= chordFace) {
+    throw new Error('Joists are too close together, or to the end walls, for bridging');
+  }
+  const firstX = joistXs[0];
+  const lastX = joistXs[joistXs.length - 1];
+
+  const members = [];
+  const addMember = (kind, chord, start, end, legDirs) =>
+    members.push({ kind, chord, start, end, legDirs });
+
+  rowXs.forEach(rowX => {
+    const z = -rowX;
+    // Horizontal angles rest on the bottom chord's horizontal legs and hang
+    // under the top chord's, with the outstanding leg pointing into the joist
+    const chordLines = [
+      ['bottom', interpolateY(layout.bottomChordPoints, rowX) + angleThickness, [0, 1, 0]],
+      ['top', interpolateY(layout.topChordPoints, rowX) - angleThickness, [0, -1, 0]],
+    ];
+    const horizontalLegDirs = up => [[0, 0, 1], up];
+
+    chordLines.forEach(([chord, y, up]) => {
+      // Anchors from the outermost joists to the end walls
+      addMember('anchor', chord, { x: firstX - wallOffset, y, z }, { x: firstX - chordFace, y, z }, horizontalLegDirs(up));
+      addMember('anchor', chord, { x: lastX + chordFace, y, z }, { x: lastX + wallOffset, y, z }, horizontalLegDirs(up));
+    });
+
+    for (let i = 0; i < joistXs.length - 1; i++) {
+      const fromX = joistXs[i] + chordFace;
+      const toX = joistXs[i + 1] - chordFace;
+
+      if (type === 'horizontal') {
+        chordLines.forEach(([chord, y, up]) =>
+          addMember('horizontal', chord, { x: fromX, y, z }, { x: toX, y, z }, horizontalLegDirs(up)));
+        continue;
+      }
+
+      // X-bridging connects to the middle of the chord vertical legs. The two
+      // diagonals sit back to back on the row line, one leg lying in the row
+      // plane and the other turned away from the opposite diagonal.
+      const bottomY = interpolateY(layout.bottomChordPoints, rowX) + angleLeg1 / 2;
+      const topY = interpolateY(layout.topChordPoints, rowX) - angleLeg1 / 2;
+      [[bottomY, topY, 1], [topY, bottomY, -1]].forEach(([fromY, toY, side]) => {
+        const dx = toX - fromX;
+        const dy = toY - fromY;
+        const length = Math.hypot(dx, dy);
+        // In-plane leg points from the heel toward the upper side
+        const inPlane = [-dy / length, dx / length, 0];
+        addMember('diagonal', null, { x: fromX, y: fromY, z }, { x: toX, y: toY, z }, [[0, 0, side], inPlane]);
+      });
+    }
+  });
+
+  const memberLength = ({ start, end }) =>
+    Math.hypot(end.x - start.x, end.y - start.y, end.z - start.z);
+
+  return {
+    type,
+    angleLeg,
+    angleThickness: bridging.angleThickness,
+    rowZs: rowXs.map(x => -x),
+    members,
+    memberCount: members.length,
+    totalLength: members.reduce((sum, member) => sum + memberLength(member), 0),
+  };
+}
@@ -0,0 +1,229 @@
+// DuctOpeningLayout.js
+//
+// Clear openings through a joist's web, for running ducts through the joist
+// perpendicular to its plane. Pure 2D geometry in joist coordinates (see
+// JoistLayout.js); DuctOpenings.js builds the openings as solids.
+//
+// Each opening lies between two neighbouring web members and the tips of the
+// chords' vertical legs, and is described by half-planes a·p <= b so fit
+// checks reduce to small linear problems.
+import { resolveJoistParams } from './JoistParams.js';
+import { computeJoistLayout } from './JoistLayout.js';
+
+export const DUCT_SHAPES = Object.freeze(['rectangular', 'circular']);
+
+const EPSILON = 1e-9;
+
+// Half-plane a·p <= b with |a| = 1
+const halfPlane = (ax, ay, b) => {
+  const length = Math.hypot(ax, ay);
+  return { a: [ax / length, ay / length], b: b / length };
+};
+
+// Half-plane on the `side` (+1 right, -1 left) of the line through p and q,
+// at least `clearance` away from it
+const sideOfLine = (p, q, side, clearance) => {
+  const dx = q.x - p.x;
+  const dy = q.y - p.y;
+  const length = Math.hypot(dx, dy);
+  // Right-hand normal of the line, scaled by `side`
+  const nx = side * dy / length;
+  const ny = side * -dx / length;
+  return halfPlane(-nx, -ny, -(nx * p.x + ny * p.y) - clearance);
+};
+
+// Chord segment of a polyline covering x
+const segmentAt = (points, x) => {
+  let i = 1;
+  while (i < points.length - 1 && x > points[i].x) {
+    i++;
+  }
+  return [points[i - 1], points[i]];
+};
+
+// Solves the 3x3 system rows·[u, v, w] = rhs by Cramer's rule
+const solve3 = (rows, rhs) => {
+  const det = m => m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1])
+    - m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0])
+    + m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+  const d = det(rows);
+  if (Math.abs(d) < EPSILON) {
+    return null;
+  }
+  return [0, 1, 2].map(col => det(rows.map((row, r) => row.map((value, c) => (c === col ? rhs[r] : value)))) / d);
+};
+
+// Largest t with a centre c such that a·c + k(a)·t <= b for every half-plane.
+// `k` gives how far the shape reaches along a per unit t: 1 for a circle of
+// radius t, (|ax| + |ay|) / 2 for a square of side t.
+const largestInscribed = (halfPlanes, k) => {
+  let best = null;
+  for (let i = 0; i < halfPlanes.length; i++) {
+    for (let j = i + 1; j < halfPlanes.length; j++) {
+      for (let l = j + 1; l < halfPlanes.length; l++) {
+        const picked = [halfPlanes[i], halfPlanes[j], halfPlanes[l]];
+        const solution = solve3(picked.map(h => [h.a[0], h.a[1], k(h.a)]), picked.map(h => h.b));
+        if (!solution) {
+          continue;
+        }
+        const [x, y, t] = solution;
+        const feasible = t > 0 && halfPlanes.every(h => h.a[0] * x + h.a[1] * y + k(h.a) * t <= h.b + 1e-7);
+        if (feasible && (!best || t > best.t)) {
+          best = { x, y, t };
+        }
+      }
+    }
+  }
+  return best;
+};
+
+// Corners of the convex region bounded by the half-planes, in order
+const polygonOf = (halfPlanes) => {
+  const vertices = [];
+  for (let i = 0; i < halfPlanes.length; i++) {
+    for (let j = i + 1; j < halfPlanes.length; j++) {
+      const { a: [a1, b1], b: c1 } = halfPlanes[i];
+      const { a: [a2, b2], b: c2 } = halfPlanes[j];
+      const det = a1 * b2 - a2 * b1;
+      if (Math.abs(det) < EPSILON) {
+        continue;
+      }
+      const x = (c1 * b2 - c2 * b1) / det;
+      const y = (a1 * c2 - a2 * c1) / det;
+      if (halfPlanes.every(h => h.a[0] * x + h.a[1] * y <= h.b + 1e-7)) {
+        vertices.push({ x, y });
+      }
+    }
+  }
+  const cx = vertices.reduce((sum, v) => sum + v.x, 0) / vertices.length;
+  const cy = vertices.reduce((sum, v) => sum + v.y, 0) / vertices.length;
+  return vertices
+    .sort((p, q) => Math.atan2(p.y - cy, p.x - cx) - Math.atan2(q.y - cy, q.x - cx))
+    .filter((v, i, sorted) => i === 0 || Math.hypot(v.x - sorted[i - 1].x, v.y - sorted[i - 1].y) > 1e-6);
+};
+
+const circleReach = () => 1;
+const squareReach = ([ax, ay]) => (Math.abs(ax) + Math.abs(ay)) / 2;
+
+/**
+ * Computes the clear openings between neighbouring web members.
+ *
+ * Each opening carries its outline (`polygon`, counter-clockwise), the
+ * largest round duct (`largestCircle` {x, y, diameter}) and the largest
+ * square duct (`largestSquare` {x, y, side}) that fit through it. Openings too
+ * small for any duct are left out.
+ *
+ * @param {Object} [params] - Partial joist parameters (as for CreateJoist)
+ * @returns {Array<Object>} Openings ordered along the span
+ */
+export function computeClearOpenings(params = {}) {
+  const resolved = resolveJoistParams(params);
+  const { joistDepth, angleLeg1, webSection, webDiameter, webAngleLeg } = resolved;
+  const layout = computeJoistLayout(resolved);
+
+  const webHalfWidth = webSection === 'round' ? webDiameter / 2 : webAngleLeg / 2;
+
+  // Order members along the span by where they cross mid-depth
+  const midX = ({ start, end }) =>
+    start.x + (end.x - start.x) * (joistDepth / 2 - start.y) / (end.y - start.y);
+  const members = [...layout.webMembers].sort((m1, m2) => midX(m1) - midX(m2));
+
+  const bottomLegTips = layout.bottomChordPoints.map(({ x, y }) => ({ x, y: y + angleLeg1 }));
+  const topLegTips = layout.topChordPoints.map(({ x, y }) => ({ x, y: y - angleLeg1 }));
+
+  const openings = [];
+  for (let i = 0; i < members.length - 1; i++) {
+    const left = members[i];
+    const right = members[i + 1];
+    const centreX = (midX(left) + midX(right)) / 2;
+    const [b1, b2] = segmentAt(bottomLegTips, centreX);
+    const [t1, t2] = segmentAt(topLegTips, centreX);
+
+    const halfPlanes = [
+      sideOfLine(left.start, left.end, 1, webHalfWidth),
+      sideOfLine(right.start, right.end, -1, webHalfWidth),
+      sideOfLine(b1, b2, -1, 0),
+      sideOfLine(t1, t2, 1, 0),
+    ];
+
+    const circle = largestInscribed(halfPlanes, circleReach);
+    if (!circle) {
+      continue;
+    }
+    const square = largestInscribed(halfPlanes, squareReach);
+    openings.push({
+      index: openings.length,
+      halfPlanes,
+      polygon: polygonOf(halfPlanes),
+      largestCircle: { x: circle.x, y: circle.y, diameter: 2 * circle.t },
+      largestSquare: { x: square.x, y: square.y, side: square.t },
+    });
+  }
+  return openings;
+}
+
+const resolveDuct = (duct) => {
+  if (duct === null || typeof duct !== 'object' || !DUCT_SHAPES.includes(duct.shape)) {
+    throw new Error(`Duct must be an object with shape ${DUCT_SHAPES.join(' or ')}`);
+  }
+  const keys = duct.shape === 'circular' ? ['diameter'] : ['width', 'height'];
+  keys.forEach(key => {
+    const value = duct[key];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+      throw new Error(`Duct ${key} must be a positive number (got ${value})`);
+    }
+  });
+  return duct.shape === 'circular'
+    ? ([ax, ay]) => Math.hypot(ax, ay) * duct.diameter / 2
+    : ([ax, ay]) => (Math.abs(ax) * duct.width + Math.abs(ay) * duct.height) / 2;
+};
+
+/**
+ * Checks whether a duct passes through the web of a joist.
+ *
+ * The duct runs perpendicular to the joist with its centreline at `position.x`
+ * along the span (0 at mid-span) and, if given, at elevation `position.y`
+ * (0 at the bottom of the bottom chord). Without `y` any elevation that fits
+ * is accepted.
+ *
+ * @param {Object} params - Partial joist parameters (as for CreateJoist)
+ * @param {Object} duct - { shape: 'rectangular', width, height } or { shape: 'circular', diameter }
+ * @param {{x: number, y?: number}} position - Duct centreline
+ * @returns {Object} {passes, opening, centreY: [min, max]} - `opening` is the
+ *   index of the opening used and `centreY` the range of centreline elevations
+ *   that fit, or null when the duct does not pass
+ */
+export function checkDuctOpening(params, duct, position) {
+  const reach = resolveDuct(duct);
+  if (!position || typeof position.x !== 'number' || !Number.isFinite(position.x)) {
+    throw new Error('Duct position must have a numeric x');
+  }
+  const { x, y } = position;
+  if (y !== undefined && (typeof y !== 'number' || !Number.isFinite(y))) {
+    throw new Error(`Duct position y must be a number (got ${y})`);
+  }
+
+  for (const opening of computeClearOpenings(params)) {
+    // Each half-plane limits the centre elevation: a·(x, y) + reach(a) <= b
+    let low = -Infinity;
+    let high = Infinity;
+    let fits = true;
+    opening.halfPlanes.forEach(({ a, b }) => {
+      const limit = b - a[0] * x - reach(a);
+      if (Math.abs(a[1]) < EPSILON) {
+        fits = fits && limit >= 0;
+      } else if (a[1] > 0) {
+        high = Math.min(high, limit / a[1]);
+      } else {
+        low = Math.max(low, limit / a[1]);
+      }
+    });
+    if (!fits || low > high) {
+      continue;
+    }
+    if (y === undefined || (y >= low && y <= high)) {
+      return { passes: true, opening: opening.index, centreY: [low, high] };
+    }
+  }
+  return { passes: false, opening: null, centreY: null };
+}
@@ -0,0 +1,36 @@
+// DuctOpenings.js
+import { resolveJoistParams } from './JoistParams.js';
+import { computeClearOpenings } from './DuctOpeningLayout.js';
+
+// Builds the clear web openings of a joist as solids for display: each
+// opening's outline extruded through the full width of the chords, in the
+// joist's own coordinates (see CreateJoist).
+// Returns { shape, openings } with the openings from computeClearOpenings().
+export async function CreateOpeningEnvelopes(oc, params = {}) {
+  const { angleGap, angleLeg2 } = resolveJoistParams(params);
+  const halfWidth = angleGap / 2 + angleLeg2;
+  const openings = computeClearOpenings(params);
+
+  const compoundBuilder = new oc.BRep_Builder();
+  const compound = new oc.TopoDS_Compound();
+  compoundBuilder.MakeCompound(compound);
+
+  const sweepVec = new oc.gp_Vec_4(0, 0, 2 * halfWidth);
+  openings.forEach(({ polygon }) => {
+    const wire = new oc.BRepBuilderAPI_MakePolygon_1();
+    polygon.forEach(({ x, y }) => wire.Add_1(new oc.gp_Pnt_3(x, y, -halfWidth)));
+    wire.Close();
+    const face = new oc.BRepBuilderAPI_MakeFace_15(wire.Wire(), false).Face();
+    const prism = new oc.BRepPrimAPI_MakePrism_1(face, sweepVec, false, true);
+    const envelope = prism.Shape();
+    compoundBuilder.Add(compound, envelope);
+
+    wire.delete();
+    face.delete();
+    prism.delete();
+    envelope.delete();
+  });
+  sweepVec.delete();
+
+  return { shape: compound, openings };
+}
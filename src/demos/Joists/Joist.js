@@ -1,43 +1,34 @@
 // Joist.js
+import { resolveJoistParams } from './JoistParams.js';
+import { computeJoistLayout } from './JoistLayout.js';
+import { computeFabricationLayout } from './JoistFabrication.js';
 
-// This function will be called by the main application to create the joist
-export async function CreateJoist(oc) {
+// This function will be called by the main application to create the joist.
+// `params` may override any value in DEFAULT_JOIST_PARAMS (see JoistParams.js).
+export async function CreateJoist(oc, params = {}) {
   // =================================================================================
   // 1. DEFINE PARAMETERS
   // =================================================================================
 
-  const topChordLength = 48 * 12;   // 48 feet in inches
-  const bottomChordLength = 42 * 12; // 42 feet in inches
-  const joistDepth = 36;          // 36 inches
-
-  const numTopNodes = 17;
-  const numBottomNodes = 16;
-
-  const angleLeg1 = 3;
-  const angleLeg2 = 3;  // Changed from 2 to 3 for 3x3 angles
-  const angleThickness = 0.25;
-  const angleGap = 1.0;
-  const webDiameter = 1.0;
+  const resolvedParams = resolveJoistParams(params);
+  const {
+    angleLeg1,
+    angleLeg2,
+    angleThickness,
+    angleGap,
+    webSection,
+    webDiameter,
+    webAngleLeg,
+    webAngleThickness,
+    fuse,
+  } = resolvedParams;
 
   // =================================================================================
   // 2. CALCULATE NODE COORDINATES
   // =================================================================================
 
-  const topNodes = [];
-  const bottomNodes = [];
-
-  const topSpacing = topChordLength / (numTopNodes - 1);
-  const bottomSpacing = bottomChordLength / (numBottomNodes - 1);
-
-  const topXStart = -topChordLength / 2;
-  for (let i = 0; i < numTopNodes; i++) {
-    topNodes.push(new oc.gp_Pnt_3(topXStart + i * topSpacing, joistDepth, 0));
-  }
-
-  const bottomXStart = -bottomChordLength / 2;
-  for (let i = 0; i < numBottomNodes; i++) {
-    bottomNodes.push(new oc.gp_Pnt_3(bottomXStart + i * bottomSpacing, 0, 0));
-  }
+  const layout = computeJoistLayout(resolvedParams);
+  const toPnt = ({ x, y }) => new oc.gp_Pnt_3(x, y, 0);
 
   // =================================================================================
   // 3. CREATE 2D CROSS-SECTION PROFILES
@@ -47,7 +38,9 @@ export async function CreateJoist(oc) {
     return new oc.BRepBuilderAPI_MakeFace_15(wire, false).Face();
   };
 
-  const createTopChordProfile = () => {
+  // Double angle chord section; sizes default to the chord angles so chord
+  // extensions can reuse it with their own angles
+  const createTopChordProfile = (leg1 = angleLeg1, leg2 = angleLeg2, thickness = angleThickness) => {
     const halfGap = angleGap / 2;
     
     // Create a compound to hold both angles
@@ -59,11 +52,11 @@ export async function CreateJoist(oc) {
     // vertical leg pointing down (negative Y), horizontal leg in Z direction
     const wire1 = new oc.BRepBuilderAPI_MakePolygon_1();
     wire1.Add_1(new oc.gp_Pnt_3(0, 0, halfGap));
-    wire1.Add_1(new oc.gp_Pnt_3(0, -angleLeg1, halfGap));
-    wire1.Add_1(new oc.gp_Pnt_3(0, -angleLeg1, halfGap + angleThickness));
-    wire1.Add_1(new oc.gp_Pnt_3(0, -angleThickness, halfGap + angleThickness));
-    wire1.Add_1(new oc.gp_Pnt_3(0, -angleThickness, halfGap + angleLeg2));
-    wire1.Add_1(new oc.gp_Pnt_3(0, 0, halfGap + angleLeg2));
+    wire1.Add_1(new oc.gp_Pnt_3(0, -leg1, halfGap));
+    wire1.Add_1(new oc.gp_Pnt_3(0, -leg1, halfGap + thickness));
+    wire1.Add_1(new oc.gp_Pnt_3(0, -thickness, halfGap + thickness));
+    wire1.Add_1(new oc.gp_Pnt_3(0, -thickness, halfGap + leg2));
+    wire1.Add_1(new oc.gp_Pnt_3(0, 0, halfGap + leg2));
     wire1.Close();
     const face1 = makeFace(wire1.Wire());
     compoundBuilder.Add(compound, face1);
@@ -73,11 +66,11 @@ export async function CreateJoist(oc) {
     // Second L-shaped angle - mirrored position
     const wire2 = new oc.BRepBuilderAPI_MakePolygon_1();
     wire2.Add_1(new oc.gp_Pnt_3(0, 0, -halfGap));
-    wire2.Add_1(new oc.gp_Pnt_3(0, -angleLeg1, -halfGap));
-    wire2.Add_1(new oc.gp_Pnt_3(0, -angleLeg1, -halfGap - angleThickness));
-    wire2.Add_1(new oc.gp_Pnt_3(0, -angleThickness, -halfGap - angleThickness));
-    wire2.Add_1(new oc.gp_Pnt_3(0, -angleThickness, -halfGap - angleLeg2));
-    wire2.Add_1(new oc.gp_Pnt_3(0, 0, -halfGap - angleLeg2));
+    wire2.Add_1(new oc.gp_Pnt_3(0, -leg1, -halfGap));
+    wire2.Add_1(new oc.gp_Pnt_3(0, -leg1, -halfGap - thickness));
+    wire2.Add_1(new oc.gp_Pnt_3(0, -thickness, -halfGap - thickness));
+    wire2.Add_1(new oc.gp_Pnt_3(0, -thickness, -halfGap - leg2));
+    wire2.Add_1(new oc.gp_Pnt_3(0, 0, -halfGap - leg2));
     wire2.Close();
     const face2 = makeFace(wire2.Wire());
     compoundBuilder.Add(compound, face2);
@@ -87,8 +80,8 @@ export async function CreateJoist(oc) {
     return compound;
   };
 
-  const createBottomChordProfile = () => {
-    const topProfile = createTopChordProfile();
+  const createBottomChordProfile = (...angleSize) => {
+    const topProfile = createTopChordProfile(...angleSize);
     const axis = new oc.gp_Ax1_2(new oc.gp_Pnt_3(0, 0, 0), new oc.gp_Dir_4(1, 0, 0));
     const transform = new oc.gp_Trsf_1(); 
     transform.SetRotation_1(axis, Math.PI);
@@ -104,60 +97,129 @@ export async function CreateJoist(oc) {
     return bottomProfile;
   };
 
+  // Bearing seat angles: vertical legs sit outside the chord's vertical legs and
+  // run up to the underside of its horizontal legs, horizontal legs bear on the
+  // support. The profile's origin is the bearing surface at the seat's outer end.
+  const createBearingSeatProfile = (verticalLegHeight) => {
+    const compoundBuilder = new oc.BRep_Builder();
+    const compound = new oc.TopoDS_Compound();
+    compoundBuilder.MakeCompound(compound);
+
+    const innerZ = angleGap / 2 + angleThickness;
+    [1, -1].forEach(side => {
+      const wire = new oc.BRepBuilderAPI_MakePolygon_1();
+      wire.Add_1(new oc.gp_Pnt_3(0, 0, side * innerZ));
+      wire.Add_1(new oc.gp_Pnt_3(0, verticalLegHeight, side * innerZ));
+      wire.Add_1(new oc.gp_Pnt_3(0, verticalLegHeight, side * (innerZ + angleThickness)));
+      wire.Add_1(new oc.gp_Pnt_3(0, angleThickness, side * (innerZ + angleThickness)));
+      wire.Add_1(new oc.gp_Pnt_3(0, angleThickness, side * (innerZ + angleLeg2)));
+      wire.Add_1(new oc.gp_Pnt_3(0, 0, side * (innerZ + angleLeg2)));
+      wire.Close();
+      const face = makeFace(wire.Wire());
+      compoundBuilder.Add(compound, face);
+      wire.delete();
+      face.delete();
+    });
+
+    return compound;
+  };
+
+  // Moves a profile to `start` and sweeps it along `vec` (both {x, y} in the
+  // joist plane). The profile itself is not consumed.
+  const sweepProfile = (profile, start, vec) => {
+    const transform = new oc.gp_Trsf_1();
+    transform.SetTranslation_1(new oc.gp_Vec_4(start.x, start.y, 0));
+    const transformer = new oc.BRepBuilderAPI_Transform_2(profile, transform, false);
+    const positionedProfile = transformer.Shape();
+
+    const sweepVec = new oc.gp_Vec_4(vec.x, vec.y, 0);
+    const prism = new oc.BRepPrimAPI_MakePrism_1(positionedProfile, sweepVec, false, true);
+    const solid = prism.Shape();
+
+    transform.delete();
+    transformer.delete();
+    positionedProfile.delete();
+    sweepVec.delete();
+    prism.delete();
+
+    return solid;
+  };
+
   // =================================================================================
   // 4. GENERATE 3D MEMBERS
   // =================================================================================
   const allJoistParts = [];
 
   // --- Create Top Chord ---
+  // One straight segment between each pair of breakpoints, so sloped, pitched,
+  // bowstring and cambered chords follow the layout exactly
   const topProfile = createTopChordProfile();
-  const topStartNode = topNodes[0];
-  const topEndNode = topNodes[topNodes.length - 1];
-  
-  // Position the profile at the start of the top chord
-  const topTransform = new oc.gp_Trsf_1();
-  topTransform.SetTranslation_1(new oc.gp_Vec_4(topStartNode.X(), topStartNode.Y(), topStartNode.Z()));
-  const topTransformer = new oc.BRepBuilderAPI_Transform_2(topProfile, topTransform, false);
-  const positionedTopProfile = topTransformer.Shape();
-  
-  // Create the sweep vector for the top chord
-  const topChordVec = new oc.gp_Vec_4(topEndNode.X() - topStartNode.X(), 0, 0);
-  const topChordPrism = new oc.BRepPrimAPI_MakePrism_1(positionedTopProfile, topChordVec, false, true);
-  const topChordSolid = topChordPrism.Shape();
-  allJoistParts.push(topChordSolid);
-  
-  // Clean up
+  const { topChordPoints } = layout;
+  for (let i = 0; i < topChordPoints.length - 1; i++) {
+    const segmentStart = topChordPoints[i];
+    const segmentEnd = topChordPoints[i + 1];
+    allJoistParts.push(sweepProfile(
+      topProfile,
+      segmentStart,
+      { x: segmentEnd.x - segmentStart.x, y: segmentEnd.y - segmentStart.y }
+    ));
+  }
   topProfile.delete();
-  topTransform.delete();
-  topTransformer.delete();
-  positionedTopProfile.delete();
-  topChordVec.delete();
-  topChordPrism.delete();
 
   // --- Create Bottom Chord ---
+  // Straight unless cambered, when it bends at each panel point
   const bottomProfile = createBottomChordProfile();
-  const bottomStartNode = bottomNodes[0];
-  const bottomEndNode = bottomNodes[bottomNodes.length - 1];
-  
-  // Position the profile at the start of the bottom chord
-  const bottomTransform = new oc.gp_Trsf_1();
-  bottomTransform.SetTranslation_1(new oc.gp_Vec_4(bottomStartNode.X(), bottomStartNode.Y(), bottomStartNode.Z()));
-  const bottomTransformer = new oc.BRepBuilderAPI_Transform_2(bottomProfile, bottomTransform, false);
-  const positionedBottomProfile = bottomTransformer.Shape();
-  
-  // Create the sweep vector for the bottom chord
-  const bottomChordVec = new oc.gp_Vec_4(bottomEndNode.X() - bottomStartNode.X(), 0, 0);
-  const bottomChordPrism = new oc.BRepPrimAPI_MakePrism_1(positionedBottomProfile, bottomChordVec, false, true);
-  const bottomChordSolid = bottomChordPrism.Shape();
-  allJoistParts.push(bottomChordSolid);
-  
-  // Clean up
+  const { bottomChordPoints } = layout;
+  for (let i = 0; i < bottomChordPoints.length - 1; i++) {
+    const segmentStart = bottomChordPoints[i];
+    const segmentEnd = bottomChordPoints[i + 1];
+    allJoistParts.push(sweepProfile(
+      bottomProfile,
+      segmentStart,
+      { x: segmentEnd.x - segmentStart.x, y: segmentEnd.y - segmentStart.y }
+    ));
+  }
   bottomProfile.delete();
-  bottomTransform.delete();
-  bottomTransformer.delete();
-  positionedBottomProfile.delete();
-  bottomChordVec.delete();
-  bottomChordPrism.delete();
+
+  // --- Create Chord Extensions ---
+  layout.topChordExtensions.forEach(({ type, start, end, angleLeg, angleThickness: extensionThickness }) => {
+    const extensionVec = { x: end.x - start.x, y: end.y - start.y };
+    if (type === 'R') {
+      // Continue the top chord and hang the reinforcing angles from its
+      // vertical leg tips, horizontal legs at the bottom
+      const chordProfile = createTopChordProfile();
+      allJoistParts.push(sweepProfile(chordProfile, start, extensionVec));
+      chordProfile.delete();
+
+      const reinforcementProfile = createBottomChordProfile(angleLeg, angleLeg, extensionThickness);
+      const reinforcementStart = { x: start.x, y: start.y - angleLeg1 - angleLeg };
+      allJoistParts.push(sweepProfile(reinforcementProfile, reinforcementStart, extensionVec));
+      reinforcementProfile.delete();
+    } else {
+      const extensionProfile = createTopChordProfile(angleLeg, angleLeg, extensionThickness);
+      allJoistParts.push(sweepProfile(extensionProfile, start, extensionVec));
+      extensionProfile.delete();
+    }
+  });
+
+  layout.bottomChordExtensions.forEach(({ start, end, angleLeg, angleThickness: extensionThickness }) => {
+    const extensionProfile = createBottomChordProfile(angleLeg, angleLeg, extensionThickness);
+    allJoistParts.push(sweepProfile(extensionProfile, start, { x: end.x - start.x, y: end.y - start.y }));
+    extensionProfile.delete();
+  });
+
+  // --- Create Bearing Seats ---
+  layout.bearingSeats.forEach(({ outerX, innerX, topY, bottomOuterY, bottomInnerY }) => {
+    // Keep the vertical legs clear of the chord's horizontal legs when sloped
+    const verticalLegHeight = topY - angleThickness - Math.max(bottomOuterY, bottomInnerY);
+    const seatProfile = createBearingSeatProfile(verticalLegHeight);
+    allJoistParts.push(sweepProfile(
+      seatProfile,
+      { x: outerX, y: bottomOuterY },
+      { x: innerX - outerX, y: bottomInnerY - bottomOuterY }
+    ));
+    seatProfile.delete();
+  });
 
   // --- Create Web Members ---
   const createWebProfile = () => {
@@ -233,29 +295,179 @@ export async function CreateJoist(oc) {
     return finalShape;
   };
 
-  // Create web members in a zig-zag pattern
-  for (let i = 0; i < numBottomNodes; i++) {
-    // Vertical or diagonal member from bottom to top
-    if (i < numTopNodes) {
-      const webMember = makeCylinder(bottomNodes[i], topNodes[i]);
-      allJoistParts.push(webMember);
-    }
-    
-    // Diagonal member from bottom to next top node
-    if (i < numTopNodes - 1) {
-      const webMember = makeCylinder(bottomNodes[i], topNodes[i + 1]);
-      allJoistParts.push(webMember);
-    }
-  }
+  // Sweeps a member cross-section from `from` to `to` (both {x, y} in the joist
+  // plane). Each rectangle is [u1, u2, v1, v2] in section coordinates: u runs
+  // along Z, v across the member in the joist plane.
+  const sweepMemberSection = (rectangles, from, to) => {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const length = Math.sqrt(dx*dx + dy*dy);
+    const nx = -dy / length;
+    const ny = dx / length;
+    const sectionPnt = (u, v) => new oc.gp_Pnt_3(from.x + v * nx, from.y + v * ny, u);
 
-  // Clean up node points
-  topNodes.forEach(node => node.delete());
-  bottomNodes.forEach(node => node.delete());
+    const sweepVec = new oc.gp_Vec_4(dx, dy, 0);
+    const solids = rectangles.map(([u1, u2, v1, v2]) => {
+      const wire = new oc.BRepBuilderAPI_MakePolygon_1();
+      wire.Add_1(sectionPnt(u1, v1));
+      wire.Add_1(sectionPnt(u2, v1));
+      wire.Add_1(sectionPnt(u2, v2));
+      wire.Add_1(sectionPnt(u1, v2));
+      wire.Close();
+      const face = makeFace(wire.Wire());
+      const prism = new oc.BRepPrimAPI_MakePrism_1(face, sweepVec, false, true);
+      const solid = prism.Shape();
+      wire.delete();
+      face.delete();
+      prism.delete();
+      return solid;
+    });
+    sweepVec.delete();
+
+    return solids;
+  };
+
+  // Point `distance` along the line from `from` toward `to`
+  const alongMember = (from, to, distance) => {
+    const length = Math.hypot(to.x - from.x, to.y - from.y);
+    return {
+      x: from.x + (to.x - from.x) * distance / length,
+      y: from.y + (to.y - from.y) * distance / length,
+    };
+  };
+
+  // How far along a member its corners reach past the axis vertically, so
+  // angle legs can be held clear of the chord angles' horizontal legs
+  const cornerSetback = (from, to) =>
+    (webAngleLeg / 2) * Math.abs(to.x - from.x) / Math.abs(to.y - from.y);
+
+  const webMemberSolids = {
+    round: ({ trimmedStart, trimmedEnd }) => {
+      const startPnt = toPnt(trimmedStart);
+      const endPnt = toPnt(trimmedEnd);
+      const cylinder = makeCylinder(startPnt, endPnt);
+      startPnt.delete();
+      endPnt.delete();
+      return [cylinder];
+    },
+
+    // Single angle centered in the chord gap. The in-plane leg runs the full
+    // member length and forms the crimped end inside each chord; the outstanding
+    // leg is only present between the chords.
+    crimpedAngle: ({ trimmedStart, trimmedEnd, chordEntryStart, chordEntryEnd }) => {
+      const halfLeg = webAngleLeg / 2;
+      const halfThickness = webAngleThickness / 2;
+      const crimpSetback = cornerSetback(trimmedStart, trimmedEnd);
+      const solids = sweepMemberSection(
+        [[-halfThickness, halfThickness, -halfLeg, halfLeg]],
+        alongMember(trimmedStart, trimmedEnd, crimpSetback),
+        alongMember(trimmedEnd, trimmedStart, crimpSetback)
+      );
+
+      const setback = cornerSetback(chordEntryStart, chordEntryEnd);
+      const uncrimpedLength = Math.hypot(
+        chordEntryEnd.x - chordEntryStart.x, chordEntryEnd.y - chordEntryStart.y) - 2 * setback;
+      if (uncrimpedLength > 0) {
+        solids.push(...sweepMemberSection(
+          [[halfThickness, webAngleLeg - halfThickness, -halfLeg, -halfLeg + webAngleThickness]],
+          alongMember(chordEntryStart, chordEntryEnd, setback),
+          alongMember(chordEntryEnd, chordEntryStart, setback)
+        ));
+      }
+      return solids;
+    },
+
+    // Back-to-back angles lapping the outside faces of the chord's vertical
+    // legs, outstanding legs turned outward
+    doubleAngle: ({ trimmedStart, trimmedEnd }) => {
+      const halfLeg = webAngleLeg / 2;
+      const backZ = angleGap / 2 + angleThickness;
+      const setback = cornerSetback(trimmedStart, trimmedEnd);
+      const from = alongMember(trimmedStart, trimmedEnd, setback);
+      const to = alongMember(trimmedEnd, trimmedStart, setback);
+
+      const rectangles = [];
+      [1, -1].forEach(side => {
+        const back = side * backZ;
+        rectangles.push(
+          [back, back + side * webAngleThickness, -halfLeg + webAngleThickness, halfLeg],
+          [back, back + side * webAngleLeg, -halfLeg, -halfLeg + webAngleThickness]
+        );
+      });
+      return sweepMemberSection(
+        rectangles.map(([u1, u2, v1, v2]) => [Math.min(u1, u2), Math.max(u1, u2), v1, v2]),
+        from,
+        to
+      );
+    },
+  };
+
+  // Create web members following the selected web pattern and section, trimmed to the chords
+  layout.webMembers.forEach(member => {
+    allJoistParts.push(...webMemberSolids[webSection](member));
+  });
+
+  // --- Create Chord Fillers and Welds ---
+  const fabrication = computeFabricationLayout(resolvedParams, layout);
+
+  // Filler plates fill the gap between the chord angles over the depth of
+  // their vertical legs, measured from the chord's outer face
+  const fillerProfiles = {};
+  ['top', 'bottom'].forEach(chord => {
+    const [y1, y2] = chord === 'top' ? [-angleLeg1, 0] : [0, angleLeg1];
+    const wire = new oc.BRepBuilderAPI_MakePolygon_1();
+    wire.Add_1(new oc.gp_Pnt_3(0, y1, -angleGap / 2));
+    wire.Add_1(new oc.gp_Pnt_3(0, y2, -angleGap / 2));
+    wire.Add_1(new oc.gp_Pnt_3(0, y2, angleGap / 2));
+    wire.Add_1(new oc.gp_Pnt_3(0, y1, angleGap / 2));
+    wire.Close();
+    fillerProfiles[chord] = makeFace(wire.Wire());
+    wire.delete();
+  });
+  fabrication.fillers.forEach(({ chord, start, end }) => {
+    allJoistParts.push(sweepProfile(fillerProfiles[chord], start, { x: end.x - start.x, y: end.y - start.y }));
+  });
+  Object.values(fillerProfiles).forEach(profile => profile.delete());
+
+  // Fillet welds as triangular prisms: the corner runs along the weld line
+  // and the two fillet legs span the triangle
+  fabrication.welds.forEach(({ start, end, legs: [a, b] }) => {
+    const wire = new oc.BRepBuilderAPI_MakePolygon_1();
+    wire.Add_1(new oc.gp_Pnt_3(start.x, start.y, start.z));
+    wire.Add_1(new oc.gp_Pnt_3(start.x + a[0], start.y + a[1], start.z + a[2]));
+    wire.Add_1(new oc.gp_Pnt_3(start.x + b[0], start.y + b[1], start.z + b[2]));
+    wire.Close();
+    const face = makeFace(wire.Wire());
+    const weldVec = new oc.gp_Vec_4(end.x - start.x, end.y - start.y, end.z - start.z);
+    const prism = new oc.BRepPrimAPI_MakePrism_1(face, weldVec, false, true);
+    allJoistParts.push(prism.Shape());
+
+    wire.delete();
+    face.delete();
+    weldVec.delete();
+    prism.delete();
+  });
 
   // =================================================================================
   // 5. ASSEMBLE THE JOIST
   // =================================================================================
 
+  if (fuse) {
+    const fusedJoist = fuseSolids(oc, allJoistParts);
+    allJoistParts.forEach(part => part.delete());
+
+    const { isValid, solidCount } = checkJoistShape(oc, fusedJoist);
+    if (!isValid) {
+      fusedJoist.delete();
+      throw new Error('Fused joist failed the BRepCheck validity check');
+    }
+    if (solidCount !== 1) {
+      fusedJoist.delete();
+      throw new Error(`Fused joist came out as ${solidCount} separate solids instead of one`);
+    }
+    return fusedJoist;
+  }
+
   const joistCompoundBuilder = new oc.BRep_Builder();
   const joistCompound = new oc.TopoDS_Compound();
   joistCompoundBuilder.MakeCompound(joistCompound);
@@ -266,4 +478,64 @@ export async function CreateJoist(oc) {
   });
 
   return joistCompound;
+}
+
+// Fuses a list of solids in a single boolean operation, merging the faces
+// and edges the fuse splits along coplanar contacts. The inputs are not consumed.
+function fuseSolids(oc, solids) {
+  const args = new oc.TopTools_ListOfShape_1();
+  const tools = new oc.TopTools_ListOfShape_1();
+  args.Append_1(solids[0]);
+  solids.slice(1).forEach(solid => tools.Append_1(solid));
+
+  const fuser = new oc.BRepAlgoAPI_Fuse_1();
+  fuser.SetArguments(args);
+  fuser.SetTools(tools);
+  const progress = new oc.Message_ProgressRange_1();
+  fuser.Build(progress);
+
+  const failed = fuser.HasErrors();
+  let result = null;
+  if (!failed) {
+    fuser.SimplifyResult(true, true, 1e-6);
+    result = fuser.Shape();
+  }
+
+  args.delete();
+  tools.delete();
+  progress.delete();
+  fuser.delete();
+
+  if (failed) {
+    throw new Error('Boolean fuse of the joist members failed');
+  }
+  return result;
+}
+
+/**
+ * Checks a joist shape with BRepCheck and counts its solids. A fused joist
+ * whose members all connect is exactly one valid solid.
+ *
+ * @param {Object} oc - OpenCascade.js instance
+ * @param {Object} shape - Shape returned by CreateJoist
+ * @returns {{isValid: boolean, solidCount: number}}
+ */
+export function checkJoistShape(oc, shape) {
+  const analyzer = new oc.BRepCheck_Analyzer(shape, true, false);
+  const isValid = analyzer.IsValid_2();
+  analyzer.delete();
+
+  let solidCount = 0;
+  const explorer = new oc.TopExp_Explorer_2(
+    shape,
+    oc.TopAbs_ShapeEnum.TopAbs_SOLID,
+    oc.TopAbs_ShapeEnum.TopAbs_SHAPE
+  );
+  while (explorer.More()) {
+    solidCount++;
+    explorer.Next();
+  }
+  explorer.delete();
+
+  return { isValid, solidCount };
 }
\ No newline at end of file
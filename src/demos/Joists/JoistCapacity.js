@@ -0,0 +1,181 @@
+// JoistCapacity.js
+//
+// Approximate load capacity and self-weight of a joist, worked out from its
+// chords and layout in the form of an SJI load table entry: the total safe
+// uniform load and the live load that deflects the joist span/360, both in
+// pounds per linear foot (plf). Uniform loads on the floor or roof are in
+// pounds per square foot (psf); lengths are in inches (see common/units.js).
+//
+// Simplified allowable stress design: the chords resist the moment as a
+// couple at their centroids, at 0.6 Fy, and the chord moment of inertia is
+// reduced by 15% for web deformation as SJI does for deflection. Checks of
+// the web, the top chord between panel points and the bearing are left out.
+import { resolveJoistParams } from './JoistParams.js';
+import { angleCentroidOffset, computeJoistLayout } from './JoistLayout.js';
+import { formatLength, INTERNAL_UNIT, LENGTH_UNITS, lengthsToInternal } from '../../common/units.js';
+
+const CHORD_YIELD_STRESS = 50000;     // psi
+const ALLOWABLE_STRESS_RATIO = 0.6;
+const ELASTIC_MODULUS = 29000000;     // psi
+const DEFLECTION_INERTIA_FACTOR = 1 / 1.15;
+const STEEL_WEIGHT = 490 / 1728;      // lb per cubic inch
+const RATED_DEFLECTION_LIMIT = 360;   // Live load capacity is for span/360
+const LENGTH_TOLERANCE = 0.5;         // Inches; stocked lengths this close are equal
+
+const angleArea = (leg1, leg2, thickness) => thickness * (leg1 + leg2 - thickness);
+
+// Cross-section area of one web member
+const webArea = ({ webSection, webDiameter, webAngleLeg, webAngleThickness }) => {
+  if (webSection === 'round') {
+    return Math.PI * webDiameter * webDiameter / 4;
+  }
+  const area = angleArea(webAngleLeg, webAngleLeg, webAngleThickness);
+  return webSection === 'doubleAngle' ? 2 * area : area;
+};
+
+/**
+ * Computes a joist's capacity and self-weight.
+ *
+ * @param {Object} [params] - Partial joist parameters (as for CreateJoist)
+ * @returns {Object} {weight, totalLoad, liveLoad} in plf: self-weight per foot
+ *   of span, total safe uniform load (self-weight included) and the live load
+ *   giving a deflection of span/360
+ */
+export function computeJoistCapacity(params = {}) {
+  const resolved = resolveJoistParams(params);
+  const { topChordLength, bottomChordLength, joistDepth, angleLeg1, angleLeg2, angleThickness } = resolved;
+  const layout = computeJoistLayout(resolved);
+
+  // Both chords are a pair of angles
+  const chordArea = 2 * angleArea(angleLeg1, angleLeg2, angleThickness);
+  const leverArm = joistDepth - 2 * angleCentroidOffset(angleLeg1, angleLeg2, angleThickness);
+
+  const webLength = layout.webMembers.reduce(
+    (sum, { start, end }) => sum + Math.hypot(end.x - start.x, end.y - start.y), 0);
+  const steelVolume = chordArea * (topChordLength + bottomChordLength) + webArea(resolved) * webLength;
+  const weight = steelVolume * STEEL_WEIGHT / (topChordLength / 12);
+
+  // Uniform load w (lb/in) on a simple span L: M = wL²/8, deflection 5wL⁴/384EI
+  const span = topChordLength;
+  const allowableMoment = ALLOWABLE_STRESS_RATIO * CHORD_YIELD_STRESS * chordArea * leverArm;
+  const inertia = DEFLECTION_INERTIA_FACTOR * chordArea * leverArm * leverArm / 2;
+  const totalLoad = 8 * allowableMoment / (span * span);
+  const liveLoad = 384 * ELASTIC_MODULUS * inertia / (5 * RATED_DEFLECTION_LIMIT * span ** 3);
+
+  return { weight, totalLoad: totalLoad * 12, liveLoad: liveLoad * 12 };
+}
+
+const LOAD_KEYS = ['deadLoad', 'liveLoad', 'snowLoad'];
+
+/**
+ * Validates the loads a joist has to carry, converting lengths to inches.
+ *
+ * @param {Object} requirements
+ * @param {number|string} requirements.span - Bearing to bearing
+ * @param {number|string} requirements.tributaryWidth - Width of floor or roof each joist carries
+ * @param {number} [requirements.deadLoad] - Superimposed dead load, psf (self-weight is added)
+ * @param {number} [requirements.liveLoad] - Floor or roof live load, psf
+ * @param {number} [requirements.snowLoad] - Snow load, psf
+ * @param {number} [requirements.deflectionLimit] - Live load deflection limit as span/n (360)
+ * @param {string} [requirements.units] - Unit of plain-number lengths (inches)
+ * @returns {Object} Complete requirements with lengths in inches
+ */
+export function resolveLoadRequirements(requirements) {
+  if (requirements === null || typeof requirements !== 'object' || Array.isArray(requirements)) {
+    throw new Error('Joist load requirements must be an object');
+  }
+  const { units = INTERNAL_UNIT } = requirements;
+  if (!(units in LENGTH_UNITS)) {
+    throw new Error(`Load requirement units must be one of ${Object.keys(LENGTH_UNITS).join(', ')} (got ${units})`);
+  }
+  const resolved = {
+    deadLoad: 0,
+    liveLoad: 0,
+    snowLoad: 0,
+    deflectionLimit: RATED_DEFLECTION_LIMIT,
+    ...lengthsToInternal(requirements, ['span', 'tributaryWidth'], units),
+    units: INTERNAL_UNIT,
+  };
+
+  ['span', 'tributaryWidth'].forEach(key => {
+    const value = resolved[key];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+      throw new Error(`Joist ${key} must be a positive length (got ${requirements[key]})`);
+    }
+  });
+  LOAD_KEYS.forEach(key => {
+    const value = resolved[key];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw new Error(`Joist ${key} must be a load in psf of zero or more (got ${value})`);
+    }
+  });
+  if (typeof resolved.deflectionLimit !== 'number' || !(resolved.deflectionLimit > 0)) {
+    throw new Error(`Joist deflectionLimit must be a positive number (got ${resolved.deflectionLimit})`);
+  }
+  return resolved;
+}
+
+/**
+ * Line loads a joist has to carry, from ASD load combinations: the total is
+ * the largest of D + L, D + S and D + 0.75L + 0.75S, and live load deflection
+ * is checked under the larger of L and S.
+ *
+ * @param {Object} requirements - Resolved requirements (resolveLoadRequirements())
+ * @param {number} selfWeight - Joist self-weight, plf
+ * @returns {Object} {totalLoad, liveLoad} in plf
+ */
+export function requiredJoistLoads({ tributaryWidth, deadLoad, liveLoad, snowLoad }, selfWeight) {
+  const width = tributaryWidth / 12;
+  const dead = deadLoad * width + selfWeight;
+  const live = liveLoad * width;
+  const snow = snowLoad * width;
+  return {
+    totalLoad: Math.max(dead + live, dead + snow, dead + 0.75 * live + 0.75 * snow),
+    liveLoad: Math.max(live, snow),
+  };
+}
+
+/**
+ * Checks a joist against required loads.
+ *
+ * @param {Object} capacity - From computeJoistCapacity()
+ * @param {Object} requirements - Resolved requirements (resolveLoadRequirements())
+ * @returns {boolean} Whether the joist carries the total load and keeps live
+ *   load deflection within span/deflectionLimit
+ */
+export function carriesLoads(capacity, requirements) {
+  const required = requiredJoistLoads(requirements, capacity.weight);
+  const liveCapacity = capacity.liveLoad * RATED_DEFLECTION_LIMIT / requirements.deflectionLimit;
+  return required.totalLoad <= capacity.totalLoad && required.liveLoad <= liveCapacity;
+}
+
+/**
+ * Picks the lightest joist that carries the required loads. Stocked lengths
+ * that cover the span are tried shortest first, so a bay only gets a longer
+ * joist than it needs when no shorter one is adequate. Throws when none is.
+ *
+ * @param {Array<Object>} variants - {variantId, metadata}, with metadata
+ *   length (inches), weight (plf) and capacity ({totalLoad, liveLoad}, plf)
+ * @param {Object} requirements - Resolved requirements (resolveLoadRequirements())
+ * @returns {string} variantId of the lightest adequate joist
+ */
+export function selectLightestJoist(variants, requirements) {
+  const { span, tributaryWidth, deadLoad, liveLoad, snowLoad } = requirements;
+  let covering = variants.filter(({ metadata }) => metadata.length >= span - LENGTH_TOLERANCE);
+  if (covering.length === 0) {
+    throw new Error(`No library joist spans ${formatLength(span)}`);
+  }
+
+  while (covering.length > 0) {
+    const length = Math.min(...covering.map(({ metadata }) => metadata.length));
+    const adequate = covering.filter(({ metadata }) =>
+      metadata.length <= length + LENGTH_TOLERANCE && carriesLoads(metadata.capacity, requirements));
+    if (adequate.length > 0) {
+      return adequate.reduce((lightest, variant) =>
+        (variant.metadata.weight < lightest.metadata.weight ? variant : lightest)).variantId;
+    }
+    covering = covering.filter(({ metadata }) => metadata.length > length + LENGTH_TOLERANCE);
+  }
+  throw new Error(`No library joist spanning ${formatLength(span)} carries ${deadLoad}/${liveLoad}/${snowLoad} psf `
+    + `dead/live/snow at ${formatLength(tributaryWidth)} spacing`);
+}
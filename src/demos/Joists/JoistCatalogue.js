@@ -0,0 +1,500 @@
+// JoistCatalogue.js
+//
+// Joist catalogues in CSV or JSON: the joists a manufacturer (or our house
+// catalogue) stocks, one row per designation, span and revision, with the
+// weight and load table values published for it. Rows are checked against
+// CATALOGUE_FIELDS and the joist parameters they resolve to, and every bad
+// row is reported with its line number.
+//
+// Manufacturers head their columns differently, so a catalogue profile maps
+// each field to its column heading; columns the profile does not map are kept
+// as variant metadata (steel grade, fire rating, ...). The house catalogue
+// uses DEFAULT_CATALOGUE_PROFILE:
+//
+//   designation,span,weight,totalLoad,liveLoad,topChord,bottomChord,steelGrade
+//   24K6,40,8.1,296,153,L1.5x1.5x0.141,L1.5x1.5x0.141,A992
+//
+// A JSON catalogue is an array of row objects keyed by the same headings.
+import { designationToJoistParams, joistMark, parseJoistDesignation } from './JoistDesignation.js';
+import { WEB_PATTERNS } from './JoistLayout.js';
+import { resolveJoistParams } from './JoistParams.js';
+import { LENGTH_UNITS, toInternal } from '../../common/units.js';
+
+// Catalogue row fields. Lengths in inches unless noted, loads in plf.
+//  - designation:  SJI designation (required)
+//  - span:         stocked length, in the profile's spanUnit unless the value
+//                  carries its own unit ("40'-0\"") (required)
+//  - weight:       self-weight, plf (required)
+//  - totalLoad:    total safe uniform load from the load table, plf (required)
+//  - liveLoad:     live load for span/360 deflection from the load table, plf (required)
+//  - depth:        depth; must match the designation
+//  - topChord, bottomChord: chord angle size, "L2x2x3/16" or "2L 2-1/2x2-1/2x0.25";
+//                  the designation's chord angles by default. The joist is
+//                  modelled with the top chord's angles for both chords.
+//  - revision:     design revision, a whole number (0)
+//  - webPattern:   one of WEB_PATTERNS other than 'custom' ('warren')
+export const CATALOGUE_FIELDS = Object.freeze([
+  'designation', 'span', 'weight', 'totalLoad', 'liveLoad',
+  'depth', 'topChord', 'bottomChord', 'revision', 'webPattern',
+]);
+
+const REQUIRED_FIELDS = ['designation', 'span', 'weight', 'totalLoad', 'liveLoad'];
+const CATALOGUE_FORMATS = ['csv', 'json'];
+const DEPTH_TOLERANCE = 0.125;
+
+export const DEFAULT_CATALOGUE_PROFILE = Object.freeze({
+  // Column heading of each field; headings match ignoring case and spaces
+  columns: Object.freeze(Object.fromEntries(CATALOGUE_FIELDS.map(field => [field, field]))),
+  spanUnit: 'ft',          // Unit of plain-number spans, one of LENGTH_UNITS
+  // Values for fields and metadata the catalogue leaves out or blank,
+  // e.g. { revision: 2, manufacturer: 'Acme' }
+  defaults: Object.freeze({}),
+});
+
+/**
+ * Validates a catalogue profile, filling in DEFAULT_CATALOGUE_PROFILE.
+ *
+ * @param {Object} [profile] - columns (field -> heading, merged with the
+ *   defaults), spanUnit and defaults
+ * @returns {Object} Complete profile
+ */
+export function resolveCatalogueProfile(profile = {}) {
+  const unknownKeys = Object.keys(profile).filter(key => !(key in DEFAULT_CATALOGUE_PROFILE));
+  if (unknownKeys.length > 0) {
+    throw new Error(`Unknown catalogue profile settings: ${unknownKeys.join(', ')}`);
+  }
+  const resolved = {
+    ...DEFAULT_CATALOGUE_PROFILE,
+    ...profile,
+    columns: { ...DEFAULT_CATALOGUE_PROFILE.columns, ...profile.columns },
+    defaults: { ...DEFAULT_CATALOGUE_PROFILE.defaults, ...profile.defaults },
+  };
+
+  Object.entries(resolved.columns).forEach(([field, heading]) => {
+    if (!CATALOGUE_FIELDS.includes(field)) {
+      throw new Error(`Catalogue profile maps unknown field ${field} (fields: ${CATALOGUE_FIELDS.join(', ')})`);
+    }
+    if (typeof heading !== 'string' || heading.trim() === '') {
+      throw new Error(`Catalogue profile column for ${field} must be a heading (got ${heading})`);
+    }
+  });
+  const headings = Object.values(resolved.columns).map(normalizeHeading);
+  const repeated = headings.find((heading, i) => headings.indexOf(heading) !== i);
+  if (repeated) {
+    throw new Error(`Catalogue profile maps more than one field to the column "${repeated}"`);
+  }
+  if (!(resolved.spanUnit in LENGTH_UNITS)) {
+    throw new Error(`Catalogue spanUnit must be one of ${Object.keys(LENGTH_UNITS).join(', ')} (got ${resolved.spanUnit})`);
+  }
+  return resolved;
+}
+
+const normalizeHeading = (heading) => heading.replace(/\s+/g, '').toLowerCase();
+
+// === READING ROWS ===
+
+// CSV rows as {line, values: {heading: text}}. Quoted fields may hold commas,
+// doubled quotes and line breaks; blank lines and lines starting with # are
+// skipped. `line` is the line the row starts on.
+function readCsvRows(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  let wasQuoted = false;
+
+  const endField = () => {
+    record.push(wasQuoted ? field : field.trim());
+    field = '';
+    wasQuoted = false;
+  };
+  const endRecord = () => {
+    endField();
+    const blank = record.length === 1 && record[0] === '';
+    if (!blank && !record[0].startsWith('#')) {
+      records.push({ line: recordLine, fields: record });
+    }
+    record = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+        if (char === '\n') {
+          line++;
+        }
+      }
+    } else if (char === '"' && field.trim() === '') {
+      quoted = true;
+      wasQuoted = true;
+      field = '';
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new Error(`line ${recordLine}: quoted field is not closed`);
+  }
+  if (field !== '' || record.length > 0) {
+    endRecord();
+  }
+
+  const [header, ...rows] = records;
+  if (!header) {
+    return [];
+  }
+  return rows.map(({ line: rowLine, fields }) => {
+    if (fields.length > header.fields.length) {
+      return { line: rowLine, values: null, error: `${fields.length} columns, the header has ${header.fields.length}` };
+    }
+    return { line: rowLine, values: Object.fromEntries(header.fields.map((heading, i) => [heading, fields[i] ?? ''])) };
+  });
+}
+
+// Line of each element of the top-level JSON array, by scanning the text
+const jsonElementLines = (text) => {
+  const lines = [];
+  let depth = 0;
+  let line = 1;
+  let inString = false;
+  let expectElement = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '\n') {
+      line++;
+    }
+    if (inString) {
+      if (char === '\\') {
+        i++;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+    if (/\s/.test(char)) {
+      continue;
+    }
+    if (depth === 1 && expectElement && char !== ']') {
+      lines.push(line);
+      expectElement = false;
+    }
+    if (char === '"') {
+      inString = true;
+    } else if (char === '[' || char === '{') {
+      depth++;
+      if (depth === 1) {
+        expectElement = true;
+      }
+    } else if (char === ']' || char === '}') {
+      depth--;
+    } else if (char === ',' && depth === 1) {
+      expectElement = true;
+    }
+  }
+  return lines;
+};
+
+// JSON rows as {line, values: {heading: value}}
+function readJsonRows(text) {
+  let rows;
+  try {
+    rows = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`not valid JSON (${error.message})`);
+  }
+  if (!Array.isArray(rows)) {
+    throw new Error('a JSON catalogue must be an array of rows');
+  }
+  const lines = jsonElementLines(text);
+  return rows.map((values, i) => (values !== null && typeof values === 'object' && !Array.isArray(values)
+    ? { line: lines[i], values }
+    : { line: lines[i], values: null, error: 'row must be an object of column values' }));
+}
+
+// === ROW VALIDATION ===
+
+// Decimal, fraction or mixed number: "0.25", "3/16", "2-1/2", "2 1/2"
+const readDimension = (text) => {
+  const match = /^(\d+(?:\.\d+)?)$|^(?:(\d+)[\s-]+)?(\d+)\/(\d+)$/.exec(text.trim());
+  if (!match) {
+    return NaN;
+  }
+  if (match[1] !== undefined) {
+    return Number(match[1]);
+  }
+  return Number(match[2] ?? 0) + Number(match[3]) / Number(match[4]);
+};
+
+/**
+ * Reads a chord angle size, e.g. "L2x2x3/16", "2L 2-1/2x2-1/2x0.25" or
+ * "L3 x 2 x 1/4" (inches).
+ *
+ * @param {string} size - Angle size
+ * @returns {Object} {leg1, leg2, thickness} in inches
+ */
+export function parseAngleSize(size) {
+  const match = typeof size === 'string' && /^\s*(?:2\s*)?L\s*(.+?)\s*[xX×]\s*(.+?)\s*[xX×]\s*(.+?)\s*$/i.exec(size);
+  const [leg1, leg2, thickness] = match ? match.slice(1).map(readDimension) : [];
+  if (!match || ![leg1, leg2, thickness].every(value => value > 0) || thickness >= Math.min(leg1, leg2)) {
+    throw new Error(`"${size}" is not an angle size like L2x2x3/16`);
+  }
+  return { leg1, leg2, thickness };
+}
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+const readNumber = (value) => (typeof value === 'number' ? value : Number(String(value).trim().replace(/,/g, '')));
+
+// Checks one row and the joist it describes, returning {record} or {problems}
+function validateRow(values, profile, headingOf) {
+  const problems = [];
+  const raw = {};
+  CATALOGUE_FIELDS.forEach(field => {
+    const value = values[headingOf[field]];
+    raw[field] = isBlank(value) ? profile.defaults[field] : value;
+  });
+  REQUIRED_FIELDS.filter(field => isBlank(raw[field])).forEach(field => {
+    problems.push(`${field} is missing (column "${profile.columns[field]}")`);
+  });
+
+  // Reads a field, noting a problem and returning undefined when it is bad
+  const read = (field, convert) => {
+    if (isBlank(raw[field])) {
+      return undefined;
+    }
+    try {
+      return convert(raw[field]);
+    } catch (error) {
+      problems.push(`${field} ${error.message}`);
+      return undefined;
+    }
+  };
+  const positive = (value) => {
+    const number = readNumber(value);
+    if (!Number.isFinite(number) || number <= 0) {
+      throw new Error(`must be a positive number (got ${value})`);
+    }
+    return number;
+  };
+
+  const angle = (value) => {
+    try {
+      return parseAngleSize(String(value));
+    } catch (error) {
+      throw new Error(`must be an angle size like L2x2x3/16 (got ${value})`);
+    }
+  };
+
+  const section = read('designation', value => {
+    try {
+      return parseJoistDesignation(String(value));
+    } catch (error) {
+      throw new Error(`${value}: ${error.message}`);
+    }
+  });
+  const span = read('span', value => {
+    let length;
+    try {
+      length = toInternal(value, profile.spanUnit);
+    } catch (error) {
+      throw new Error(`must be a length (got ${value})`);
+    }
+    return positive(length);
+  });
+  const weight = read('weight', positive);
+  const totalLoad = read('totalLoad', positive);
+  const liveLoad = read('liveLoad', positive);
+  const depth = read('depth', positive);
+  const topChord = read('topChord', angle);
+  const bottomChord = read('bottomChord', angle);
+  const revision = read('revision', value => {
+    const number = readNumber(value);
+    if (!Number.isInteger(number) || number < 0) {
+      throw new Error(`must be a whole number (got ${value})`);
+    }
+    return number;
+  }) ?? 0;
+  const webPattern = read('webPattern', value => {
+    if (!WEB_PATTERNS.includes(value) || value === 'custom') {
+      throw new Error(`must be one of ${WEB_PATTERNS.filter(pattern => pattern !== 'custom').join(', ')} (got ${value})`);
+    }
+    return value;
+  }) ?? 'warren';
+
+  if (section && depth !== undefined && Math.abs(depth - section.depth) > DEPTH_TOLERANCE) {
+    problems.push(`depth ${depth}" does not match the ${section.depth}" of ${section.designation}`);
+  }
+  if (weight !== undefined && totalLoad !== undefined && totalLoad <= weight) {
+    problems.push(`totalLoad ${totalLoad} plf does not cover the joist's own ${weight} plf`);
+  }
+  if (problems.length > 0) {
+    return { problems };
+  }
+
+  // Columns the profile does not map, numbers where they read as numbers
+  const mapped = new Set(Object.values(headingOf));
+  const extra = { ...profile.defaults };
+  CATALOGUE_FIELDS.forEach(field => delete extra[field]);
+  Object.entries(values).forEach(([heading, value]) => {
+    if (!mapped.has(heading) && !isBlank(value)) {
+      const key = heading.trim();
+      extra[key] = typeof value === 'string' && /^-?\d+(?:\.\d+)?$/.test(value.trim()) ? Number(value) : value;
+    }
+  });
+
+  const record = {
+    designation: section.designation,
+    span,
+    weight,
+    totalLoad,
+    liveLoad,
+    depth: depth ?? section.depth,
+    topChord: topChord ?? null,
+    bottomChord: bottomChord ?? null,
+    revision,
+    webPattern,
+    extra,
+  };
+
+  // The joist has to build, e.g. its chord angles have to fit its depth
+  try {
+    resolveJoistParams(catalogueVariant(record).params);
+  } catch (error) {
+    return { problems: [error.message] };
+  }
+  return { record };
+}
+
+/**
+ * Reads a catalogue and checks every row. Throws one error listing each bad
+ * row by line number, so a catalogue loads whole or not at all.
+ *
+ * @param {string} text - CSV or JSON catalogue
+ * @param {Object} [options]
+ * @param {string} [options.format] - 'csv' or 'json'; JSON when the text
+ *   starts with [, CSV otherwise
+ * @param {Object} [options.profile] - Catalogue profile (resolveCatalogueProfile())
+ * @param {string} [options.source] - Name for messages and metadata, e.g. the file name
+ * @returns {Array<Object>} Catalogue records: the fields (lengths in inches,
+ *   chords as {leg1, leg2, thickness} or null), `extra` metadata from the
+ *   unmapped columns, and `source` and `line`
+ */
+export function parseJoistCatalogue(text, { format, profile, source = 'catalogue' } = {}) {
+  if (typeof text !== 'string') {
+    throw new Error(`Joist catalogue ${source} must be text`);
+  }
+  const resolvedFormat = format ?? (text.trimStart().startsWith('[') ? 'json' : 'csv');
+  if (!CATALOGUE_FORMATS.includes(resolvedFormat)) {
+    throw new Error(`Joist catalogue format must be one of ${CATALOGUE_FORMATS.join(', ')} (got ${resolvedFormat})`);
+  }
+  const resolvedProfile = resolveCatalogueProfile(profile);
+
+  let rows;
+  try {
+    rows = resolvedFormat === 'json' ? readJsonRows(text) : readCsvRows(text);
+  } catch (error) {
+    throw new Error(`Joist catalogue ${source}: ${error.message}`);
+  }
+  if (rows.length === 0) {
+    throw new Error(`Joist catalogue ${source} has no rows`);
+  }
+
+  // Actual heading of each field in this catalogue
+  const headings = [...new Set(rows.flatMap(({ values }) => Object.keys(values ?? {})))];
+  const headingOf = {};
+  Object.entries(resolvedProfile.columns).forEach(([field, column]) => {
+    headingOf[field] = headings.find(heading => normalizeHeading(heading) === normalizeHeading(column)) ?? column;
+  });
+  const missingColumns = REQUIRED_FIELDS.filter(field =>
+    !headings.includes(headingOf[field]) && isBlank(resolvedProfile.defaults[field]));
+  if (missingColumns.length > 0) {
+    const columns = missingColumns.map(field => (resolvedProfile.columns[field] === field
+      ? `"${field}"`
+      : `"${resolvedProfile.columns[field]}" (${field})`));
+    throw new Error(`Joist catalogue ${source} has no column ${columns.join(', ')}`);
+  }
+
+  const records = [];
+  const errors = [];
+  const lineOfVariant = new Map();
+  rows.forEach(({ line, values, error }) => {
+    if (error) {
+      errors.push(`line ${line}: ${error}`);
+      return;
+    }
+    const { record, problems } = validateRow(values, resolvedProfile, headingOf);
+    if (problems) {
+      errors.push(`line ${line}: ${problems.join('; ')}`);
+      return;
+    }
+    const key = `${joistMark(record.designation, record.span)} R${record.revision}`;
+    if (lineOfVariant.has(key)) {
+      errors.push(`line ${line}: ${key} is already on line ${lineOfVariant.get(key)}`);
+      return;
+    }
+    lineOfVariant.set(key, line);
+    records.push({ ...record, source, line });
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Joist catalogue ${source} has ${errors.length} bad row${errors.length === 1 ? '' : 's'}:\n`
+      + errors.map(message => `  ${message}`).join('\n'));
+  }
+  return records;
+}
+
+/**
+ * Turns a catalogue record into a library variant. Load table values stand
+ * in for the computed capacity (see JoistCapacity.js).
+ *
+ * @param {Object} record - From parseJoistCatalogue()
+ * @returns {Object} {mark, revision, params, metadata}: the schedule mark,
+ *   revision, joist parameters and variant metadata
+ */
+export function catalogueVariant(record) {
+  const { designation, span, weight, totalLoad, liveLoad, depth, topChord, bottomChord, revision, webPattern } = record;
+  const { series } = parseJoistDesignation(designation);
+  const params = { ...designationToJoistParams(designation, span), joistDepth: depth, webPattern };
+  if (topChord) {
+    Object.assign(params, { angleLeg1: topChord.leg1, angleLeg2: topChord.leg2, angleThickness: topChord.thickness });
+  }
+  const chord = { leg1: params.angleLeg1, leg2: params.angleLeg2, thickness: params.angleThickness };
+
+  return {
+    mark: joistMark(designation, span),
+    revision,
+    params,
+    metadata: {
+      ...record.extra,
+      designation,
+      series,
+      length: span,
+      depth,
+      pattern: webPattern,
+      revision,
+      weight,
+      capacity: { weight, totalLoad, liveLoad },
+      topChord: topChord ?? chord,
+      bottomChord: bottomChord ?? topChord ?? chord,
+      catalogue: { source: record.source, line: record.line },
+    },
+  };
+}
@@ -0,0 +1,159 @@
+// JoistDesignation.js
+//
+// Standard SJI joist designations: nominal depth in inches, series and chord
+// size number, e.g. 24K6, 30KCS4, 48LH13 or 60DLH18. A designation fixes the
+// section; the span comes from the schedule, so both are needed to build a joist.
+import { DEFAULT_JOIST_PARAMS } from './JoistParams.js';
+import { formatLength, toInternal } from '../../common/units.js';
+
+const range = (first, last, step) =>
+  Array.from({ length: Math.floor((last - first) / step) + 1 }, (_, i) => first + i * step);
+
+// Chord angles [leg, thickness] (inches) for each size number, in order from
+// the smallest size. Approximate; both chords use the same angles.
+const K_CHORDS = [
+  [1.25, 0.109], [1.25, 0.125], [1.25, 0.141], [1.5, 0.125], [1.5, 0.141], [1.5, 0.156],
+  [1.75, 0.141], [1.75, 0.156], [1.75, 0.172], [2, 0.156], [2, 0.172], [2, 0.188],
+];
+const KCS_CHORDS = [[1.75, 0.156], [1.75, 0.172], [2, 0.172], [2, 0.188], [2, 0.219]];
+const LH_CHORDS = [
+  [2, 0.1875], [2, 0.25], [2.5, 0.1875], [2.5, 0.25], [2.5, 0.3125], [3, 0.25],
+  [3, 0.3125], [3, 0.375], [3.5, 0.3125], [3.5, 0.375], [3.5, 0.4375], [4, 0.375],
+  [4, 0.4375], [4, 0.5], [4, 0.5625], [4, 0.625],
+];
+const DLH_CHORDS = [
+  [4, 0.375], [4, 0.4375], [4, 0.5], [5, 0.375], [5, 0.4375], [5, 0.5],
+  [5, 0.5625], [5, 0.625], [6, 0.4375], [6, 0.5], [6, 0.5625], [6, 0.625],
+  [6, 0.6875], [6, 0.75], [6, 0.875], [6, 1],
+];
+
+// Joist series: nominal depths (inches), first size number, chord angles by
+// size, bearing seat series (see JoistParams.js) and web members
+export const JOIST_SERIES = Object.freeze({
+  K: Object.freeze({
+    depths: range(8, 30, 2), firstSize: 1, chords: K_CHORDS, bearingSeat: 'K',
+    web: { webSection: 'round', webDiameter: 0.75 },
+  }),
+  KCS: Object.freeze({
+    depths: range(10, 30, 2), firstSize: 1, chords: KCS_CHORDS, bearingSeat: 'K',
+    web: { webSection: 'round', webDiameter: 0.875 },
+  }),
+  LH: Object.freeze({
+    depths: [18, 20, 24, 28, 32, 36, 40, 44, 48], firstSize: 2, chords: LH_CHORDS, bearingSeat: 'LH',
+    web: { webSection: 'crimpedAngle', webAngleLeg: 1.5, webAngleThickness: 0.1875 },
+  }),
+  DLH: Object.freeze({
+    depths: [...range(52, 72, 4), ...range(80, 120, 8)], firstSize: 10, chords: DLH_CHORDS, bearingSeat: 'DLH',
+    web: { webSection: 'doubleAngle', webAngleLeg: 2.5, webAngleThickness: 0.25 },
+  }),
+});
+
+const DESIGNATION_PATTERN = /^(\d+)(KCS|K|LH|DLH)(\d+)$/;
+
+/**
+ * Formats a designation from its parts.
+ *
+ * @param {{depth: number, series: string, size: number}} parts
+ * @returns {string} e.g. "24K6"
+ */
+export function formatJoistDesignation({ depth, series, size }) {
+  return `${depth}${series}${size}`;
+}
+
+/**
+ * Parses and checks an SJI joist designation. Case and spaces are ignored.
+ *
+ * @param {string} designation - e.g. "24K6", "30KCS4", "48LH13", "60DLH18"
+ * @returns {Object} {designation, depth, series, size, chordAngleLeg, chordAngleThickness},
+ *   with `designation` normalised and lengths in inches
+ */
+export function parseJoistDesignation(designation) {
+  const match = typeof designation === 'string'
+    && DESIGNATION_PATTERN.exec(designation.replace(/\s+/g, '').toUpperCase());
+  if (!match) {
+    throw new Error(`"${designation}" is not a joist designation like 24K6, 30KCS4, 48LH13 or 60DLH18`);
+  }
+  const depth = Number(match[1]);
+  const series = match[2];
+  const size = Number(match[3]);
+
+  const { depths, firstSize, chords } = JOIST_SERIES[series];
+  if (!depths.includes(depth)) {
+    throw new Error(`${series} joists are not made ${depth}" deep (depths: ${depths.join(', ')})`);
+  }
+  const chord = chords[size - firstSize];
+  if (!chord) {
+    throw new Error(`${series} joist size must be ${firstSize} to ${firstSize + chords.length - 1} (got ${size})`);
+  }
+
+  return {
+    designation: formatJoistDesignation({ depth, series, size }),
+    depth,
+    series,
+    size,
+    chordAngleLeg: chord[0],
+    chordAngleThickness: chord[1],
+  };
+}
+
+/**
+ * Lists the standard designations, optionally limited to some series and a
+ * depth range, ordered by series, depth and size.
+ *
+ * @param {Object} [filter] - series (array of names), minDepth, maxDepth (inches)
+ * @returns {string[]} Designations
+ */
+export function listJoistDesignations({ series = Object.keys(JOIST_SERIES), minDepth = 0, maxDepth = Infinity } = {}) {
+  return series.flatMap(name => {
+    const { depths, firstSize, chords } = JOIST_SERIES[name];
+    return depths
+      .filter(depth => depth >= minDepth && depth <= maxDepth)
+      .flatMap(depth => chords.map((_, i) => formatJoistDesignation({ depth, series: name, size: firstSize + i })));
+  });
+}
+
+/**
+ * Maps a designation and span onto CreateJoist parameters.
+ *
+ * Panels are about as long as the joist is deep, and the bottom chord stops
+ * one panel in from each bearing, as in the default joist.
+ *
+ * @param {string} designation - SJI designation, e.g. "24K6"
+ * @param {number|string} span - Bearing to bearing, in inches or a length string ("40'")
+ * @returns {Object} Joist parameters
+ */
+export function designationToJoistParams(designation, span) {
+  const { depth, series, chordAngleLeg, chordAngleThickness } = parseJoistDesignation(designation);
+  const { bearingSeat, web } = JOIST_SERIES[series];
+  const topChordLength = toInternal(span);
+
+  const panels = Math.max(3, Math.round(topChordLength / depth));
+  const panelLength = topChordLength / panels;
+
+  return {
+    topChordLength,
+    bottomChordLength: topChordLength - 2 * panelLength,
+    joistDepth: depth,
+    numTopNodes: panels + 1,
+    numBottomNodes: panels - 1,
+    angleLeg1: chordAngleLeg,
+    angleLeg2: chordAngleLeg,
+    angleThickness: chordAngleThickness,
+    angleGap: DEFAULT_JOIST_PARAMS.angleGap,
+    ...web,
+    bearingSeat: { series: bearingSeat },
+  };
+}
+
+/**
+ * The schedule mark for a designation at a span, e.g. 24K6 x 40'-0". Library
+ * entries are keyed by their marks.
+ *
+ * @param {string} designation - SJI designation
+ * @param {number|string} span - Span in inches or a length string
+ * @returns {string} Mark
+ */
+export function joistMark(designation, span) {
+  const { designation: normalised } = parseJoistDesignation(designation);
+  return `${normalised} x ${formatLength(toInternal(span), { unit: 'ft-in', precision: 0 })}`;
+}
@@ -0,0 +1,138 @@
+// JoistFabrication.js
+//
+// Chord filler plates and web-to-chord welds, worked out from the joist
+// layout without OpenCascade so fabrication counts can be estimated without
+// building solids. Joist.js builds the same items as solids.
+import { resolveJoistParams } from './JoistParams.js';
+import { computeJoistLayout, interpolateY } from './JoistLayout.js';
+
+// Filler centres along one chord: every panel point (optionally) plus evenly
+// spaced fillers in each panel so none are further apart than `spacing`
+const fillerXs = (xs, { spacing, atPanelPoints }) => {
+  const result = [];
+  for (let i = 0; i < xs.length - 1; i++) {
+    const a = xs[i];
+    const b = xs[i + 1];
+    if (atPanelPoints) {
+      result.push(a);
+    }
+    const between = Math.ceil((b - a) / spacing) - 1;
+    for (let k = 1; k <= between; k++) {
+      result.push(a + k * (b - a) / (between + 1));
+    }
+  }
+  if (atPanelPoints) {
+    result.push(xs[xs.length - 1]);
+  }
+  return result;
+};
+
+// Fillet weld lines along one end of a web member. `from` and `to` bound the
+// part of the member inside the chord depth; each weld is a corner line plus
+// the two fillet legs as vectors.
+const webEndWelds = (params, from, to) => {
+  const { webSection, webAngleLeg, webAngleThickness, angleGap, angleThickness, welds } = params;
+  const { size } = welds;
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const length = Math.hypot(dx, dy);
+  const n = [-dy / length, dx / length, 0];
+
+  // [side of the member, offset across it, z of the chord leg face, fillet leg toward the web in z]
+  let corners;
+  if (webSection === 'doubleAngle') {
+    // Along both edges of each angle where it laps the outside of a chord leg
+    const backZ = angleGap / 2 + angleThickness;
+    corners = [-1, 1].flatMap(edge => [-1, 1].map(side =>
+      [edge, webAngleLeg / 2, side * backZ, side * size]));
+  } else {
+    // Between the web and the inside faces of the chord legs, either side of
+    // the round bar or at the edges of the crimped end
+    const offset = webSection === 'crimpedAngle' ? webAngleLeg / 2 : 0;
+    const reach = webSection === 'crimpedAngle' ? angleGap / 2 - webAngleThickness / 2 + size : size;
+    corners = [-1, 1].flatMap(edge => [-1, 1].map(side =>
+      [edge, offset, side * angleGap / 2, -side * reach]));
+  }
+
+  return corners.map(([edge, offset, z, zLeg]) => ({
+    start: { x: from.x + n[0] * edge * offset, y: from.y + n[1] * edge * offset, z },
+    end: { x: to.x + n[0] * edge * offset, y: to.y + n[1] * edge * offset, z },
+    legs: [
+      [n[0] * edge * size, n[1] * edge * size, 0],
+      [0, 0, zLeg],
+    ],
+    length,
+  }));
+};
+
+/**
+ * Works out the chord filler plates and web welds for a joist.
+ *
+ * Fillers are `{chord, start, end}` runs along the chord face ({x, y});
+ * welds are `{start, end, legs, length}` with 3D points and fillet leg vectors.
+ *
+ * @param {Object} params - Validated parameters from resolveJoistParams()
+ * @param {Object} [layout] - Layout from computeJoistLayout(), computed if omitted
+ * @returns {Object} {fillers, welds}
+ */
+export function computeFabricationLayout(params, layout = computeJoistLayout(params)) {
+  const fillers = [];
+  if (params.chordFillers) {
+    const { length } = params.chordFillers;
+    [
+      ['top', layout.topNodes, layout.topChordPoints],
+      ['bottom', layout.bottomNodes, layout.bottomChordPoints],
+    ].forEach(([chord, nodes, points]) => {
+      const xs = nodes.map(({ x }) => x);
+      const first = xs[0];
+      const last = xs[xs.length - 1];
+      fillerXs(xs, params.chordFillers).forEach(x => {
+        // Keep fillers at the chord ends within the chord
+        const startX = Math.min(Math.max(x - length / 2, first), last - length);
+        const endX = startX + length;
+        fillers.push({
+          chord,
+          start: { x: startX, y: interpolateY(points, startX) },
+          end: { x: endX, y: interpolateY(points, endX) },
+        });
+      });
+    });
+  }
+
+  const welds = [];
+  if (params.welds) {
+    layout.webMembers.forEach(({ trimmedStart, trimmedEnd, chordEntryStart, chordEntryEnd }) => {
+      let bottomEnd = trimmedStart;
+      let topEnd = trimmedEnd;
+      if (params.webSection !== 'round') {
+        // Angle webs stop short of the chord's horizontal legs (see Joist.js)
+        const dx = trimmedEnd.x - trimmedStart.x;
+        const dy = trimmedEnd.y - trimmedStart.y;
+        const setback = (params.webAngleLeg / 2) * Math.abs(dx) / Math.abs(dy);
+        const ratio = setback / Math.hypot(dx, dy);
+        bottomEnd = { x: trimmedStart.x + dx * ratio, y: trimmedStart.y + dy * ratio };
+        topEnd = { x: trimmedEnd.x - dx * ratio, y: trimmedEnd.y - dy * ratio };
+      }
+      welds.push(...webEndWelds(params, bottomEnd, chordEntryStart));
+      welds.push(...webEndWelds(params, chordEntryEnd, topEnd));
+    });
+  }
+
+  return { fillers, welds };
+}
+
+/**
+ * Filler and weld quantities for cost estimating. Counts what the joist
+ * parameters ask for: with `chordFillers` or `welds` null, that count is zero.
+ *
+ * @param {Object} [params] - Partial joist parameters (as for CreateJoist)
+ * @returns {{fillerCount: number, weldCount: number, weldLength: number}} weldLength in inches
+ */
+export function estimateFabrication(params = {}) {
+  const { fillers, welds } = computeFabricationLayout(resolveJoistParams(params));
+  return {
+    fillerCount: fillers.length,
+    weldCount: welds.length,
+    weldLength: welds.reduce((sum, { length }) => sum + length, 0),
+  };
+}
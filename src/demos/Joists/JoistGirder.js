@@ -0,0 +1,11 @@
+// JoistGirder.js
+import { CreateJoist } from './Joist.js';
+import { resolveJoistGirderParams, toJoistParams } from './JoistGirderParams.js';
+
+// Creates a joist girder along X, centred on the origin, with the bottom of
+// the bottom chord at y = 0 - the same orientation as CreateJoist.
+// `params` may override any value in DEFAULT_JOIST_GIRDER_PARAMS (see JoistGirderParams.js).
+export async function CreateJoistGirder(oc, params = {}) {
+  const girder = resolveJoistGirderParams(params);
+  return CreateJoist(oc, toJoistParams(girder));
+}
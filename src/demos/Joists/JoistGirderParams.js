@@ -0,0 +1,126 @@
+// JoistGirderParams.js
+//
+// A joist girder is modelled as a heavy Pratt joist: double angle chords,
+// panel points at the joists framing onto it, a vertical under every interior
+// panel point and a bottom chord that stops at the first panel point in from
+// each end.
+import { resolveJoistParams } from './JoistParams.js';
+import { INTERNAL_UNIT, LENGTH_UNITS, lengthsToInternal } from '../../common/units.js';
+
+// Default joist girder parameters. All dimensions are in inches.
+export const DEFAULT_JOIST_GIRDER_PARAMS = Object.freeze({
+  units: INTERNAL_UNIT,       // As for joists: unit of the lengths passed in
+
+  span: 40 * 12,              // Bearing to bearing
+  panelSpacing: 8 * 12,       // Joist spacing; the span must be a whole number of panels
+  depth: 48,                  // Out-to-out depth
+
+  chordAngleLeg1: 5,          // Vertical leg of each chord angle
+  chordAngleLeg2: 5,          // Horizontal leg of each chord angle
+  chordAngleThickness: 0.5,
+  chordAngleGap: 1.0,         // Gap between the two chord angles
+
+  webSection: 'doubleAngle',  // One of WEB_SECTIONS (see JoistParams.js)
+  webDiameter: 1.0,           // For 'round' webs
+  webAngleLeg: 2.5,
+  webAngleThickness: 0.25,
+
+  bearingSeat: { series: 'JG' },  // As for joists, or null for none
+  camber: null,               // As for joists
+  fuse: false,                // As for joists
+});
+
+const EPSILON = 1e-6;
+
+const LENGTH_PARAMS = ['span', 'panelSpacing', 'depth',
+  'chordAngleLeg1', 'chordAngleLeg2', 'chordAngleThickness', 'chordAngleGap',
+  'webDiameter', 'webAngleLeg', 'webAngleThickness', 'camber'];
+
+// Converts the given lengths to inches so defaults (already in inches) are left alone
+const paramsInInches = (params) => {
+  const units = params.units ?? INTERNAL_UNIT;
+  if (!(units in LENGTH_UNITS)) {
+    throw new Error(`Joist girder units must be one of ${Object.keys(LENGTH_UNITS).join(', ')} (got ${units})`);
+  }
+  const converted = lengthsToInternal(params, LENGTH_PARAMS, units,
+    (value, key) => typeof value === 'number' || (typeof value === 'string' && !(key === 'camber' && value === 'sji')));
+  const { bearingSeat } = converted;
+  if (bearingSeat !== null && typeof bearingSeat === 'object' && !Array.isArray(bearingSeat)) {
+    converted.bearingSeat = lengthsToInternal(bearingSeat, ['depth', 'length'], units);
+  }
+  return { ...converted, units: INTERNAL_UNIT };
+};
+
+/**
+ * Merges user parameters over the girder defaults and validates them.
+ * Throws an Error describing the first invalid parameter.
+ *
+ * @param {Object} [params] - Partial joist girder parameters
+ * @returns {Object} Complete joist girder parameters, plus `numPanels`
+ */
+export function resolveJoistGirderParams(params = {}) {
+  if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+    throw new Error('Joist girder parameters must be an object');
+  }
+
+  const resolved = { ...DEFAULT_JOIST_GIRDER_PARAMS };
+  for (const key of Object.keys(params)) {
+    if (!(key in DEFAULT_JOIST_GIRDER_PARAMS)) {
+      throw new Error(`Unknown joist girder parameter "${key}"`);
+    }
+  }
+  for (const [key, value] of Object.entries(paramsInInches(params))) {
+    if (value !== undefined) {
+      resolved[key] = value;
+    }
+  }
+
+  ['span', 'panelSpacing'].forEach(key => {
+    const value = resolved[key];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+      throw new Error(`Joist girder parameter "${key}" must be a positive number (got ${value})`);
+    }
+  });
+
+  const numPanels = Math.round(resolved.span / resolved.panelSpacing);
+  if (Math.abs(numPanels * resolved.panelSpacing - resolved.span) > EPSILON) {
+    throw new Error(`Joist girder span (${resolved.span}) must be a whole number of panels of ${resolved.panelSpacing}`);
+  }
+  if (numPanels < 3) {
+    throw new Error('Joist girder needs at least 3 panels');
+  }
+
+  // Everything else is validated as the equivalent joist
+  resolveJoistParams(toJoistParams({ ...resolved, numPanels }));
+
+  return { ...resolved, numPanels };
+}
+
+/**
+ * Maps resolved joist girder parameters onto CreateJoist parameters.
+ *
+ * @param {Object} girder - Parameters from resolveJoistGirderParams()
+ * @returns {Object} Joist parameters
+ */
+export function toJoistParams(girder) {
+  const { span, panelSpacing, numPanels } = girder;
+  return {
+    topChordLength: span,
+    bottomChordLength: span - 2 * panelSpacing,
+    joistDepth: girder.depth,
+    numTopNodes: numPanels + 1,
+    numBottomNodes: numPanels - 1,
+    angleLeg1: girder.chordAngleLeg1,
+    angleLeg2: girder.chordAngleLeg2,
+    angleThickness: girder.chordAngleThickness,
+    angleGap: girder.chordAngleGap,
+    webSection: girder.webSection,
+    webDiameter: girder.webDiameter,
+    webAngleLeg: girder.webAngleLeg,
+    webAngleThickness: girder.webAngleThickness,
+    webPattern: 'pratt',
+    bearingSeat: girder.bearingSeat,
+    camber: girder.camber,
+    fuse: girder.fuse,
+  };
+}
@@ -0,0 +1,332 @@
+// JoistLayout.js
+//
+// Pure 2D geometry of a joist elevation: X runs along the span, Y is up and
+// Z (out of plane) is not used. Nothing in here calls OpenCascade, so the
+// layout can be shared by the solid builder and by any check or report that
+// only needs node positions.
+
+// Named web configurations understood by computeJoistLayout()
+//  - warren:         alternating diagonals, every bottom node forms a V with
+//                    the two top nodes around it
+//  - modifiedWarren: warren plus a vertical at each interior bottom node
+//  - pratt:          a vertical at every panel point under the top chord and
+//                    diagonals sloping down toward mid-span
+//  - custom:         explicit node-to-node list from `customWebMembers`
+export const WEB_PATTERNS = Object.freeze(['warren', 'modifiedWarren', 'pratt', 'custom']);
+
+// Top chord shapes understood by computeJoistLayout(). `joistDepth` is the
+// depth at the ends (the low end for a single slope).
+//  - flat:        horizontal
+//  - singleSlope: rises `topChordSlope` inches per foot from left to right
+//  - doublePitch: gable, rising `topChordSlope` inches per foot to mid-span
+//  - bowstring:   parabolic arc rising `topChordRise` inches at mid-span,
+//                 straight between top chord panel points
+export const TOP_CHORD_PROFILES = Object.freeze(['flat', 'singleSlope', 'doublePitch', 'bowstring']);
+
+const EPSILON = 1e-6;
+
+/**
+ * Parses a node reference such as "T3" (top chord node 3) or "B0"
+ * (bottom chord node 0). Returns null when the string is not a node reference.
+ *
+ * @param {string} ref - Node reference
+ * @returns {{chord: string, index: number}|null}
+ */
+export function parseNodeRef(ref) {
+  const match = /^([TB])(\d+)$/.exec(typeof ref === 'string' ? ref.trim() : '');
+  if (!match) {
+    return null;
+  }
+  return { chord: match[1] === 'T' ? 'top' : 'bottom', index: Number(match[2]) };
+}
+
+const evenlySpaced = (length, count) => {
+  const spacing = length / (count - 1);
+  const start = -length / 2;
+  return Array.from({ length: count }, (_, i) => start + i * spacing);
+};
+
+// Pratt panel points: the top chord nodes that fall over the bottom chord,
+// bracketed by the two bottom chord ends.
+const prattPanelXs = (topXs, bottomStart, bottomEnd) => [
+  bottomStart,
+  ...topXs.filter(x => x > bottomStart + EPSILON && x < bottomEnd - EPSILON),
+  bottomEnd,
+];
+
+// Returns the top chord breakpoints: the chord is straight between them.
+const topChordBreakpoints = (params, topXs) => {
+  const { topChordLength, joistDepth, topChordProfile, topChordSlope, topChordRise } = params;
+  const halfLength = topChordLength / 2;
+  const first = topXs[0];
+  const last = topXs[topXs.length - 1];
+
+  switch (topChordProfile) {
+    case 'singleSlope':
+      return [first, last].map(x => ({ x, y: joistDepth + topChordSlope * (x + halfLength) / 12 }));
+    case 'doublePitch':
+      return [first, 0, last].map(x => ({ x, y: joistDepth + topChordSlope * (halfLength - Math.abs(x)) / 12 }));
+    case 'bowstring':
+      return topXs.map(x => ({ x, y: joistDepth + topChordRise * (1 - (x / halfLength) ** 2) }));
+    default:
+      return [first, last].map(x => ({ x, y: joistDepth }));
+  }
+};
+
+/**
+ * Linear interpolation along a polyline of {x, y} points sorted by x,
+ * continuing the end segments beyond either end. Used with a layout's
+ * `topChordPoints` to find the top of the top chord at any x.
+ *
+ * @param {Array<{x: number, y: number}>} points - Polyline points
+ * @param {number} x - Position along the span
+ * @returns {number} Elevation at x
+ */
+export function interpolateY(points, x) {
+  let i = 1;
+  while (i < points.length - 1 && x > points[i].x) {
+    i++;
+  }
+  const a = points[i - 1];
+  const b = points[i];
+  return a.y + (b.y - a.y) * (x - a.x) / (b.x - a.x);
+}
+
+/**
+ * Distance from the back of an angle's horizontal leg to its centroid.
+ * For the chords this is how far the centroidal axis sits below the top of
+ * the top chord (or above the bottom of the bottom chord).
+ *
+ * @param {number} verticalLeg - Length of the vertical leg
+ * @param {number} horizontalLeg - Length of the horizontal leg
+ * @param {number} thickness - Leg thickness
+ * @returns {number} Centroid offset
+ */
+export function angleCentroidOffset(verticalLeg, horizontalLeg, thickness) {
+  const area = thickness * (verticalLeg + horizontalLeg - thickness);
+  const firstMoment = thickness * verticalLeg * verticalLeg / 2
+    + thickness * (horizontalLeg - thickness) * thickness / 2;
+  return firstMoment / area;
+}
+
+// Walks from `from` through `to` (and beyond) until the line crosses
+// y = level(x), then returns the crossing point. `level` must be nearly flat
+// compared to the line, which holds for any chord a web member frames into.
+const lineLevelIntersection = (from, to, level) => {
+  const point = s => ({ x: from.x + s * (to.x - from.x), y: from.y + s * (to.y - from.y) });
+  const side = s => Math.sign(point(s).y - level(point(s).x));
+  const startSide = side(0);
+
+  let low = 0;
+  let high = 1;
+  while (side(high) === startSide) {
+    low = high;
+    high += 1;
+  }
+  for (let i = 0; i < 50; i++) {
+    const mid = (low + high) / 2;
+    if (side(mid) === startSide) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return point((low + high) / 2);
+};
+
+const webPatternLayouts = {
+  warren(topXs, bottomXs) {
+    const members = [];
+    for (let i = 0; i < bottomXs.length; i++) {
+      if (i < topXs.length) {
+        members.push(['diagonal', bottomXs[i], topXs[i]]);
+      }
+      if (i < topXs.length - 1) {
+        members.push(['diagonal', bottomXs[i], topXs[i + 1]]);
+      }
+    }
+    return members;
+  },
+
+  modifiedWarren(topXs, bottomXs) {
+    const members = webPatternLayouts.warren(topXs, bottomXs);
+    for (let i = 1; i < bottomXs.length - 1; i++) {
+      members.push(['vertical', bottomXs[i], bottomXs[i]]);
+    }
+    return members;
+  },
+
+  pratt(topXs, bottomXs) {
+    const members = [];
+    const panelXs = prattPanelXs(topXs, bottomXs[0], bottomXs[bottomXs.length - 1]);
+
+    // End diagonals from the top chord ends down to the bottom chord ends
+    if (topXs[0] < panelXs[0] - EPSILON) {
+      members.push(['diagonal', panelXs[0], topXs[0]]);
+    }
+    const lastTopX = topXs[topXs.length - 1];
+    if (lastTopX > panelXs[panelXs.length - 1] + EPSILON) {
+      members.push(['diagonal', panelXs[panelXs.length - 1], lastTopX]);
+    }
+
+    panelXs.forEach(x => members.push(['vertical', x, x]));
+
+    for (let i = 0; i < panelXs.length - 1; i++) {
+      const a = panelXs[i];
+      const b = panelXs[i + 1];
+      const mid = (a + b) / 2;
+      // Diagonals run from the top chord on the outboard side down to the
+      // bottom chord on the inboard side; the centre panel gets both.
+      if (mid <= EPSILON) {
+        members.push(['diagonal', b, a]);
+      }
+      if (mid >= -EPSILON) {
+        members.push(['diagonal', a, b]);
+      }
+    }
+    return members;
+  },
+
+  custom(topXs, bottomXs, customWebMembers) {
+    return customWebMembers.map(({ from, to }) => {
+      const refs = [parseNodeRef(from), parseNodeRef(to)];
+      const top = refs.find(ref => ref.chord === 'top');
+      const bottom = refs.find(ref => ref.chord === 'bottom');
+      const bottomX = bottomXs[bottom.index];
+      const topX = topXs[top.index];
+      return [Math.abs(topX - bottomX) < EPSILON ? 'vertical' : 'diagonal', bottomX, topX];
+    });
+  },
+};
+
+/**
+ * Computes node positions and web member endpoints for a joist.
+ *
+ * Web members always run from the bottom chord (start) to the top chord (end).
+ * `start` and `end` are the working points; `trimmedStart` and `trimmedEnd`
+ * are where the member physically stops; `chordEntryStart` and `chordEntryEnd`
+ * are where it enters the depth of each chord.
+ *
+ * `topChordPoints` trace the top of the top chord and `bottomChordPoints` the
+ * bottom of the bottom chord; each chord is straight between its points.
+ *
+ * @param {Object} params - Validated parameters from resolveJoistParams()
+ * @returns {Object} {topNodes, bottomNodes, topChordPoints, bottomChordPoints, webMembers,
+ *   bearingSeats, topChordExtensions, bottomChordExtensions}
+ */
+export function computeJoistLayout(params) {
+  const {
+    topChordLength,
+    bottomChordLength,
+    numTopNodes,
+    numBottomNodes,
+    angleLeg1,
+    angleLeg2,
+    angleThickness,
+    webEccentricity,
+    webPattern,
+    customWebMembers,
+    bearingSeat,
+    topChordExtensions,
+    bottomChordExtensions,
+    camber,
+  } = params;
+
+  const topXs = evenlySpaced(topChordLength, numTopNodes);
+  const bottomXs = evenlySpaced(bottomChordLength, numBottomNodes);
+
+  // Camber lifts both chords by a parabola through the bearings, so the
+  // chords become straight runs between panel points
+  const camberAt = x => camber * (1 - (2 * x / topChordLength) ** 2);
+  let topChordPoints = topChordBreakpoints(params, topXs);
+  let bottomChordPoints = [bottomXs[0], bottomXs[bottomXs.length - 1]].map(x => ({ x, y: 0 }));
+  if (camber > 0) {
+    const profile = topChordPoints;
+    const xs = [...new Set([...profile.map(({ x }) => x), ...topXs])].sort((a, b) => a - b);
+    topChordPoints = xs.map(x => ({ x, y: interpolateY(profile, x) + camberAt(x) }));
+    bottomChordPoints = bottomXs.map(x => ({ x, y: camberAt(x) }));
+  }
+  const topChordY = x => interpolateY(topChordPoints, x);
+  const bottomChordY = x => interpolateY(bottomChordPoints, x);
+
+  const topNodes = topXs.map(x => ({ x, y: topChordY(x) }));
+  const bottomNodes = bottomXs.map(x => ({ x, y: bottomChordY(x) }));
+
+  // Web working points lie on the chord centroidal axes, shifted toward the
+  // chord's outer face by the eccentricity. The member itself is trimmed where
+  // its axis reaches the inside face of the chord's horizontal legs.
+  const workPointOffset = angleCentroidOffset(angleLeg1, angleLeg2, angleThickness) - webEccentricity;
+  const topInsideFace = x => topChordY(x) - angleThickness;
+  const bottomInsideFace = x => bottomChordY(x) + angleThickness;
+
+  // Members framing into a chord end stop at their working point rather than
+  // running past the end of the chord
+  const trimToChord = (point, xs) =>
+    point.x >= xs[0] - EPSILON && point.x <= xs[xs.length - 1] + EPSILON;
+
+  const webMembers = webPatternLayouts[webPattern](topXs, bottomXs, customWebMembers)
+    .map(([role, bottomX, topX]) => {
+      const start = { chord: 'bottom', x: bottomX, y: bottomChordY(bottomX) + workPointOffset };
+      const end = { chord: 'top', x: topX, y: topChordY(topX) - workPointOffset };
+      const trimmedStart = lineLevelIntersection(end, start, bottomInsideFace);
+      const trimmedEnd = lineLevelIntersection(start, end, topInsideFace);
+      return {
+        role,
+        start,
+        end,
+        trimmedStart: trimToChord(trimmedStart, bottomXs) ? trimmedStart : { x: start.x, y: start.y },
+        trimmedEnd: trimToChord(trimmedEnd, topXs) ? trimmedEnd : { x: end.x, y: end.y },
+        // Where the member axis passes the tips of the chords' vertical legs
+        chordEntryStart: lineLevelIntersection(end, start, x => bottomChordY(x) + angleLeg1),
+        chordEntryEnd: lineLevelIntersection(start, end, x => topChordY(x) - angleLeg1),
+      };
+    });
+
+  // Bearing seats sit under the top chord at each end and run inboard
+  const bearingSeats = [];
+  if (bearingSeat) {
+    const { depth, length, slope } = bearingSeat;
+    [[topXs[0], 1], [topXs[topXs.length - 1], -1]].forEach(([outerX, inward]) => {
+      const innerX = outerX + inward * length;
+      const topY = topChordY(outerX);
+      bearingSeats.push({
+        outerX,
+        innerX,
+        topY,
+        bottomOuterY: topY - depth,
+        bottomInnerY: topY - depth + slope * length / 12,
+      });
+    });
+  }
+
+  // Chord extensions cantilever outward from the chord ends, continuing the
+  // chord's end slope. `start` is on the chord end, `end` at the tip.
+  const extensionSegments = (extensions, xs, chordY) => {
+    if (!extensions) {
+      return [];
+    }
+    return [['left', xs[0], -1], ['right', xs[xs.length - 1], 1]]
+      .filter(([side]) => extensions[side])
+      .map(([side, startX, outward]) => {
+        const extension = extensions[side];
+        const endX = startX + outward * extension.length;
+        return {
+          side,
+          ...extension,
+          start: { x: startX, y: chordY(startX) },
+          end: { x: endX, y: chordY(endX) },
+        };
+      });
+  };
+
+  return {
+    topNodes,
+    bottomNodes,
+    topChordPoints,
+    bottomChordPoints,
+    webMembers,
+    bearingSeats,
+    topChordExtensions: extensionSegments(topChordExtensions, topXs, topChordY),
+    bottomChordExtensions: extensionSegments(bottomChordExtensions, bottomXs, bottomChordY),
+  };
+}
@@ -0,0 +1,509 @@
+// JoistLibrary.js
+//
+// The joist library behind the library demos: a catalogue of joist variants
+// keyed by schedule mark and revision (e.g. 24K6 x 40'-0" R3), each with its
+// joist parameters and metadata. A variant's geometry is tessellated the
+// first time it is asked for (or ahead of use, see prefetchJoistVariants())
+// and shared by every variant that tessellates the same, mirror images
+// included. Tessellated geometry persists between page loads in the
+// browser's geometry store (see common/geometryStore.js), and a whole library
+// can be written to and loaded from a library file (see JoistLibraryFile.js).
+//
+// A library is the plain object createJoistLibrary() returns, and every
+// function here takes it first; a demo keeps one and exports its functions
+// bound to it. Revisions of its joists are JoistRevisions.js's.
+import { designationToJoistParams, joistMark, parseJoistDesignation } from './JoistDesignation.js';
+import { computeJoistCapacity, resolveLoadRequirements, selectLightestJoist } from './JoistCapacity.js';
+import { catalogueVariant } from './JoistCatalogue.js';
+import { decodeJoistLibrary, encodeJoistLibrary } from './JoistLibraryFile.js';
+import {
+  createTimings,
+  describeRange,
+  describeSharing,
+  describeValues,
+  formatBytes,
+  geometryByteSize,
+  recordTiming,
+  summarizeMetadata,
+} from './JoistLibraryStats.js';
+import { queryVariants } from './JoistQuery.js';
+import { currentJoistVariants, joistVariantId } from './JoistRevisions.js';
+import {
+  canonicalJoistGeometry,
+  joistBufferHash,
+  joistGeometryKey,
+  loadJoistGeometry,
+  TESSELLATION_SETTINGS,
+} from './JoistVariants.js';
+import { formatLength } from '../../common/units.js';
+
+/**
+ * Creates an empty joist library, to fill with initializeJoistLibrary() or
+ * loadJoistLibrary().
+ *
+ * @param {Object} [options]
+ * @param {string} [options.messagePrefix] - Starts the library's log and
+ *   error messages, e.g. the demo's name
+ * @returns {Object} The library: variants (variant ID -> {geometryKey,
+ *   mirrored, params, metadata}), currentRevisions (schedule mark -> revision
+ *   in use), selectionCache and metadataSummary as JoistRevisions.js expects,
+ *   and the geometry caches, timings and OpenCascade source kept here
+ */
+export function createJoistLibrary({ messagePrefix = '' } = {}) {
+  return {
+    messagePrefix,
+    variants: new Map(),
+    // The latest revision of each mark, unless another has been promoted
+    currentRevisions: new Map(),
+
+    // Tessellated geometry by geometry key (see canonicalJoistGeometry()),
+    // built on first request and shared between variants, mirror images
+    // included. Holds promises so concurrent requests build once.
+    geometryCache: new Map(),
+    // One BufferGeometry per distinct tessellation, by joistBufferHash(), the
+    // hash each loaded geometry key came out as and the bytes of each geometry
+    sharedGeometry: new Map(),
+    geometryHashes: new Map(),
+    geometryBytes: new Map(),
+
+    // Selected variant ID by resolved load requirements (see selectJoistVariant())
+    selectionCache: new Map(),
+
+    // For getLibraryStats(): the metadata summary, worked out when first
+    // asked for, and instantiation timings, apart for joists already loaded
+    // and those loaded by the request
+    metadataSummary: null,
+    lookupTimings: createTimings(),
+    loadTimings: createTimings(),
+
+    openCascadeSource: null,  // OpenCascade instance, or a function loading it
+    openCascade: null,        // Promise of the instance, once first needed
+  };
+}
+
+// Empties the catalogue and its caches; tessellated geometry stays cached
+// unless the library file replacing it brings its own
+function resetLibrary(library, oc) {
+  library.variants.clear();
+  library.currentRevisions.clear();
+  library.selectionCache.clear();
+  library.metadataSummary = null;
+  library.lookupTimings = createTimings();
+  library.loadTimings = createTimings();
+  library.openCascadeSource = oc;
+  library.openCascade = null;
+}
+
+// Adds a variant, keeping the latest revision of its mark current
+function addVariant(library, mark, revision, params, metadata) {
+  const { geometryKey, mirrored } = canonicalJoistGeometry(params);
+  library.variants.set(joistVariantId(mark, revision), { geometryKey, mirrored, params, metadata });
+  library.currentRevisions.set(mark, Math.max(revision, library.currentRevisions.get(mark) ?? 0));
+}
+
+// Library entries for catalogue records. The same variant in two catalogues
+// is an error rather than one silently replacing the other.
+function addCatalogueVariants(library, catalogue) {
+  catalogue.forEach(record => {
+    const { mark, revision, params, metadata } = catalogueVariant(record);
+    const variantId = joistVariantId(mark, revision);
+    if (library.variants.has(variantId)) {
+      const { source, line } = library.variants.get(variantId).metadata.catalogue;
+      throw new Error(`${variantId} is listed in ${source} (line ${line}) and ${record.source} (line ${record.line})`);
+    }
+    addVariant(library, mark, revision, params, metadata);
+  });
+}
+
+// Designation, span (feet), revision and joist parameters of generated
+// variant i. Revisions only change metadata, so every revision of a mark
+// shares its geometry.
+const variantSpec = ({ designations, spansFt, webPatterns }, i) => {
+  const designationIndex = i % designations.length;
+  const designation = designations[designationIndex];
+  const lengthFt = spansFt[Math.floor(i / designations.length) % spansFt.length];
+  const webPattern = webPatterns[designationIndex % webPatterns.length];
+  return {
+    designation,
+    lengthFt,
+    revision: Math.floor(i / (designations.length * spansFt.length)),
+    params: { ...designationToJoistParams(designation, lengthFt * 12), webPattern },
+  };
+};
+
+/**
+ * Fills a library with generated variants, or with the joists of a catalogue
+ * (see JoistCatalogue.js), load table values and all. Nothing is tessellated
+ * here: a joist is built on the first request for any of its variants (or by
+ * prefetchJoistVariants()).
+ *
+ * Generated variant i is designation i of the designations at the spans in
+ * turn, each span in as many revisions as the size allows. Its metadata
+ * holds its designation, series, length, depth, pattern, revision, weight and
+ * capacity (see JoistCapacity.js), plus what the generator's metadata() adds.
+ *
+ * @param {Object} library - From createJoistLibrary()
+ * @param {Object} oc - OpenCascade.js instance, or a function that loads it;
+ *   called only when a joist is missing from the geometry store
+ * @param {Object} generator - {designations, spansFt, webPatterns, size,
+ *   metadata}: SJI designations, spans in feet, web patterns cycled by
+ *   designation, number of variants and metadata(i, {designation, lengthFt,
+ *   revision, params}) returning further metadata of variant i
+ * @param {Array<Object>} [catalogue] - Records from parseJoistCatalogue(), of
+ *   one or more catalogues, in place of the generated variants
+ */
+export async function initializeJoistLibrary(library, oc, generator, catalogue) {
+  const { messagePrefix } = library;
+  console.log(`${messagePrefix}Initializing joist library catalogue...`);
+  resetLibrary(library, oc);
+
+  // === CATALOGUE IMPORT ===
+  // Manufacturer and house catalogues stand in for the generated library
+  if (catalogue) {
+    addCatalogueVariants(library, catalogue);
+    const sources = [...new Set(catalogue.map(record => record.source))];
+    console.log(`${messagePrefix}Joist library imported ${library.variants.size.toLocaleString()} variants from ${sources.join(', ')}`);
+    return;
+  }
+
+  // Capacity by geometry key, worked out once per distinct joist
+  const capacities = new Map();
+
+  // === LIBRARY POPULATION ===
+  for (let i = 0; i < generator.size; i++) {
+    const spec = variantSpec(generator, i);
+    const { designation, lengthFt, revision, params } = spec;
+    const { depth, series } = parseJoistDesignation(designation);
+
+    const { geometryKey } = canonicalJoistGeometry(params);
+    if (!capacities.has(geometryKey)) {
+      capacities.set(geometryKey, computeJoistCapacity(params));
+    }
+    const capacity = capacities.get(geometryKey);
+
+    // Schedule mark, as written on the drawings, plus the revision
+    addVariant(library, joistMark(designation, lengthFt * 12), revision, params, {
+      designation: designation,     // SJI designation
+      series: series,               // SJI series (K, KCS, LH, DLH)
+      length: lengthFt * 12,        // Length in inches
+      depth: depth,                 // Depth in inches
+      pattern: params.webPattern,   // Web configuration
+      revision: revision,           // Design iteration
+      weight: capacity.weight,      // Self-weight in plf
+      capacity: capacity,           // Safe total and L/360 live loads in plf
+      ...generator.metadata(i, spec),
+    });
+  }
+
+  const distinctJoists = new Set([...library.variants.values()].map(entry => entry.geometryKey)).size;
+  console.log(`${messagePrefix}Joist library initialized with ${library.variants.size.toLocaleString()} variants `
+    + `(${distinctJoists.toLocaleString()} distinct joists, tessellated on demand)`);
+}
+
+// === LAZY TESSELLATION ===
+// The expensive step: build and tessellate a joist the first time any
+// variant with its geometry is requested (unless an earlier page load
+// stored it), then serve it from the cache
+function loadGeometry(library, libraryEntry) {
+  const { geometryKey, params } = libraryEntry;
+  let geometry = library.geometryCache.get(geometryKey);
+  if (!geometry) {
+    if (!library.openCascadeSource) {
+      throw new Error(`${library.messagePrefix}Joist library is not initialized`);
+    }
+    // Read from the geometry store, or built and stored on a miss
+    geometry = loadJoistGeometry(() => getOpenCascade(library), canonicalJoistGeometry(params).params).then(loaded => {
+      const hash = joistBufferHash(loaded);
+      library.geometryHashes.set(geometryKey, hash);
+      return shareGeometry(library, loaded, hash);
+    });
+    library.geometryCache.set(geometryKey, geometry);
+    // Let a failed build be retried
+    geometry.catch(() => library.geometryCache.delete(geometryKey));
+  }
+  return geometry;
+}
+
+// A joist tessellating exactly like one already loaded (e.g. the two differ
+// only in parameters the tessellation does not show) gets that joist's geometry
+function shareGeometry(library, geometry, hash) {
+  const shared = library.sharedGeometry.get(hash);
+  if (shared) {
+    geometry.dispose();
+    return shared;
+  }
+  library.sharedGeometry.set(hash, geometry);
+  library.geometryBytes.set(hash, geometryByteSize(geometry));
+  return geometry;
+}
+
+// OpenCascade, loaded the first time a joist has to be tessellated
+function getOpenCascade(library) {
+  if (!library.openCascade) {
+    if (typeof library.openCascadeSource === 'function') {
+      console.log(`${library.messagePrefix}Loading OpenCascade to tessellate joists missing from the geometry store...`);
+      library.openCascade = Promise.resolve(library.openCascadeSource());
+    } else {
+      library.openCascade = Promise.resolve(library.openCascadeSource);
+    }
+  }
+  return library.openCascade;
+}
+
+function getLibraryEntry(library, variantId) {
+  const libraryEntry = library.variants.get(variantId);
+  if (!libraryEntry) {
+    throw new Error(`${library.messagePrefix}Joist ${variantId} not found in library`);
+  }
+  return libraryEntry;
+}
+
+// Library entry with its geometry, tessellating it on first request
+async function instantiateVariant(library, variantId) {
+  const start = performance.now();
+  const libraryEntry = getLibraryEntry(library, variantId);
+  const loaded = library.geometryHashes.has(libraryEntry.geometryKey);
+  const geometry = await loadGeometry(library, libraryEntry);
+  recordTiming(loaded ? library.lookupTimings : library.loadTimings, performance.now() - start);
+  return {
+    geometry: geometry,                 // Tessellated Three.js BufferGeometry
+    metadata: libraryEntry.metadata,    // Structural properties
+    variantId: variantId,               // Schedule mark and revision
+    mirrored: libraryEntry.mirrored,    // Place with the geometry's Z axis flipped
+  };
+}
+
+/**
+ * Tessellates the joists a layout will need ahead of use: loads every
+ * distinct geometry behind the given variants that is not cached yet, from
+ * the geometry store or by tessellating it, yielding to the browser between
+ * joists so the page stays responsive.
+ *
+ * @param {Object} library - From createJoistLibrary()
+ * @param {Iterable<string>} variantIds - Variants the layout places (repeats are fine)
+ * @param {Function} [progressCallback] - Called with (loaded, total) after each joist
+ * @returns {Promise<Object>} {loaded, fromStore} - Joists loaded, and how many
+ *   of them came from the geometry store rather than OpenCascade
+ */
+export async function prefetchJoistVariants(library, variantIds, progressCallback) {
+  const pending = new Map();  // geometry key -> library entry
+  for (const variantId of variantIds) {
+    const libraryEntry = getLibraryEntry(library, variantId);
+    if (!library.geometryCache.has(libraryEntry.geometryKey)) {
+      pending.set(libraryEntry.geometryKey, libraryEntry);
+    }
+  }
+
+  let loaded = 0;
+  let fromStore = 0;
+  for (const libraryEntry of pending.values()) {
+    const geometry = await loadGeometry(library, libraryEntry);
+    loaded++;
+    if (geometry.userData.fromStore) fromStore++;
+    if (progressCallback) progressCallback(loaded, pending.size);
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+  return { loaded, fromStore };
+}
+
+/**
+ * Selects the lightest current revision that carries the loads on a joist
+ * position (see selectLightestJoist()). Selections are cached, so the same
+ * loads cost a single Map lookup the next time.
+ *
+ * @param {Object} library - From createJoistLibrary()
+ * @param {Object} requirements - span, tributaryWidth, deadLoad/liveLoad/snowLoad
+ *   in psf and deflectionLimit (see resolveLoadRequirements())
+ * @returns {string} Variant ID (schedule mark and revision)
+ */
+export function selectJoistVariant(library, requirements) {
+  const resolved = resolveLoadRequirements(requirements);
+  const cacheKey = JSON.stringify(resolved);
+  if (!library.selectionCache.has(cacheKey)) {
+    library.selectionCache.set(cacheKey, selectLightestJoist(currentJoistVariants(library), resolved));
+  }
+  return library.selectionCache.get(cacheKey);
+}
+
+/**
+ * Filters, sorts and pages a library's variants by their metadata (see
+ * JoistQuery.js).
+ *
+ * @param {Object} library - From createJoistLibrary()
+ * @param {Object} [query] - where, sort, page and pageSize (see queryVariants()),
+ *   and currentOnly for just the revisions in use
+ * @returns {Object} {variants: [{variantId, metadata}], total, page, pageSize, pageCount}
+ */
+export function queryJoistLibrary(library, { currentOnly = false, ...query } = {}) {
+  const variants = [...library.variants]
+    .filter(([, { metadata }]) => !currentOnly
+      || library.currentRevisions.get(joistMark(metadata.designation, metadata.length)) === metadata.revision)
+    .map(([variantId, { metadata }]) => ({ variantId, metadata }));
+  return queryVariants(variants, query);
+}
+
+/**
+ * The joist for a position: its selected variant (see selectJoistVariant())
+ * with the variant's geometry, a cache lookup once that has been tessellated.
+ *
+ * @param {Object} library - From createJoistLibrary()
+ * @param {Object} requirements - Span and loads on the joist (see selectJoistVariant())
+ * @returns {Promise<Object>} {geometry, metadata, variantId, mirrored} - Joist instance data
+ */
+export async function instantiateJoistFromLibrary(library, requirements) {
+  return instantiateVariant(library, selectJoistVariant(library, requirements));
+}
+
+/**
+ * Looks up a joist by SJI designation and span, as given on a joist schedule.
+ *
+ * @param {Object} library - From createJoistLibrary()
+ * @param {string} designation - SJI designation, e.g. "24K6"
+ * @param {number|string} span - Span in inches or a length string ("40'")
+ * @param {number} [revision] - Design revision, the current one by default
+ * @returns {Promise<Object>} {geometry, metadata, variantId, mirrored} - Joist instance data
+ */
+export async function getJoistByDesignation(library, designation, span, revision) {
+  const mark = joistMark(designation, span);
+  return instantiateVariant(library, joistVariantId(mark, revision ?? library.currentRevisions.get(mark) ?? 0));
+}
+
+// === LIBRARY FILES ===
+// The "C++ pre-tessellation" workflow: scripts/buildJoistLibrary.mjs runs
+// exportJoistLibrary() in Node, and the page loads the file it writes
+
+/**
+ * Tessellates every variant and encodes the library as a binary library file
+ * (see JoistLibraryFile.js) for loadJoistLibrary().
+ *
+ * @param {Object} library - From createJoistLibrary()
+ * @param {Function} [progressCallback] - Called with (loaded, total) after each joist
+ * @returns {Promise<ArrayBuffer>} Library file contents
+ */
+export async function exportJoistLibrary(library, progressCallback) {
+  await prefetchJoistVariants(library, library.variants.keys(), progressCallback);
+
+  const geometryIndex = new Map();  // shared geometry -> index in the file
+  const geometries = [];
+  const variants = [];
+  for (const [variantId, libraryEntry] of library.variants) {
+    const { geometryKey, params, metadata } = libraryEntry;
+    const geometry = await library.geometryCache.get(geometryKey);
+    if (!geometryIndex.has(geometry)) {
+      geometryIndex.set(geometry, geometries.length);
+      geometries.push({ params: canonicalJoistGeometry(params).params, hash: library.geometryHashes.get(geometryKey), geometry });
+    }
+    const index = geometryIndex.get(geometry);
+    // Mirror images and joists tessellating like another keep their own parameters
+    const ownParams = joistGeometryKey(params) === joistGeometryKey(geometries[index].params) ? {} : { params };
+    variants.push({ variantId, geometry: index, metadata, ...ownParams });
+  }
+  return encodeJoistLibrary({ tessellation: TESSELLATION_SETTINGS, geometries, variants });
+}
+
+/**
+ * Loads a library file written by exportJoistLibrary(), in place of
+ * initializeJoistLibrary(). Catalogue and geometry both come from the file,
+ * so OpenCascade is only needed for joists added later (see
+ * JoistRevisions.addJoistRevision()).
+ *
+ * @param {Object} library - From createJoistLibrary()
+ * @param {string} url - Library file URL
+ * @param {Object} [oc] - OpenCascade.js instance, or a function that loads it,
+ *   for joists added later
+ * @returns {Promise<void>}
+ */
+export async function loadJoistLibrary(library, url, oc = null) {
+  const { messagePrefix } = library;
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`${messagePrefix}Could not load joist library ${url} (${response.status} ${response.statusText})`);
+  }
+  const { tessellation, geometries, variants } = decodeJoistLibrary(await response.arrayBuffer());
+  if (JSON.stringify(tessellation) !== JSON.stringify(TESSELLATION_SETTINGS)) {
+    console.warn(`${messagePrefix}Joist library ${url} was tessellated with different settings:`, tessellation);
+  }
+
+  resetLibrary(library, oc);
+  library.geometryCache.clear();
+  library.sharedGeometry.clear();
+  library.geometryHashes.clear();
+  library.geometryBytes.clear();
+
+  const shared = geometries.map(({ geometry, hash }) => shareGeometry(library, geometry, hash));
+  variants.forEach(({ variantId, geometry, metadata, params = geometries[geometry].params }) => {
+    const { geometryKey, mirrored } = canonicalJoistGeometry(params);
+    if (!library.geometryCache.has(geometryKey)) {
+      library.geometryCache.set(geometryKey, Promise.resolve(shared[geometry]));
+      library.geometryHashes.set(geometryKey, geometries[geometry].hash);
+    }
+    library.variants.set(variantId, { geometryKey, mirrored, params, metadata });
+    const mark = joistMark(metadata.designation, metadata.length);
+    library.currentRevisions.set(mark, Math.max(metadata.revision, library.currentRevisions.get(mark) ?? 0));
+  });
+
+  console.log(`${messagePrefix}Joist library loaded from ${url}: ${library.variants.size.toLocaleString()} variants, `
+    + `${library.sharedGeometry.size.toLocaleString()} shared geometries`);
+}
+
+/**
+ * Library statistics, worked out from the library as it stands: ranges and
+ * distinct values from the variants' metadata, the byte size of the geometry
+ * loaded so far, how many variants share each geometry and timings measured
+ * by instantiateJoistFromLibrary(). The metadata summary is kept until the
+ * library is next initialized, loaded or revised.
+ *
+ * @param {Object} library - From createJoistLibrary()
+ * @returns {Object} Library statistics: counts, geometryBytes, sharing
+ *   ({variants, geometries, mirroredVariants, mergedJoists, ratio}), fields (per
+ *   metadata field, see summarizeMetadata()), instantiation timings
+ *   ({lookups, loads}: of joists already loaded and of joists the request
+ *   loaded, see createTimings()) and display strings (memoryFootprint, ...)
+ */
+export function getLibraryStats(library) {
+  if (!library.metadataSummary) {
+    library.metadataSummary = summarizeMetadata([...library.variants].map(([variantId, { metadata }]) => ({ variantId, metadata })));
+  }
+  const fields = library.metadataSummary;
+
+  // Only geometry of this library's joists; the cache outlives re-initialization
+  const entries = [...library.variants.values()];
+  const geometryKeys = new Set(entries.map(entry => entry.geometryKey));
+  const loadedKeys = [...geometryKeys].filter(key => library.geometryHashes.has(key));
+  const loadedGeometries = new Set(loadedKeys.map(key => library.geometryHashes.get(key)));
+  const geometryBytes = [...loadedGeometries].reduce((sum, hash) => sum + library.geometryBytes.get(hash), 0);
+  // Joists not loaded yet count as a geometry each until their hash is known
+  const sharing = {
+    variants: library.variants.size,
+    geometries: loadedGeometries.size + geometryKeys.size - loadedKeys.length,
+    mirroredVariants: entries.filter(entry => entry.mirrored).length,
+    mergedJoists: loadedKeys.length - loadedGeometries.size,
+  };
+  sharing.ratio = sharing.geometries > 0 ? sharing.variants / sharing.geometries : 0;
+  const describeTimings = ({ count, averageMs }) =>
+    (count > 0 ? `${averageMs.toFixed(3)}ms per joist (${count.toLocaleString()} measured)` : 'not measured yet');
+
+  return {
+    totalVariants: library.variants.size,
+    distinctJoists: geometryKeys.size,
+    loadedJoists: loadedKeys.length,
+    geometryBytes: geometryBytes,
+    sharing: sharing,
+    fields: fields,
+    instantiation: { lookups: { ...library.lookupTimings }, loads: { ...library.loadTimings } },
+
+    // Display strings
+    memoryFootprint: `${formatBytes(geometryBytes)} (${loadedKeys.length.toLocaleString()} of `
+      + `${geometryKeys.size.toLocaleString()} joists loaded, ${loadedGeometries.size.toLocaleString()} geometries)`,
+    geometrySharing: describeSharing(sharing),
+    lengthRange: describeRange(fields.length, length => formatLength(length, { unit: 'ft-in', precision: 0 })),
+    depthRange: describeRange(fields.depth, depth => `${depth}"`),
+    weightRange: describeRange(fields.weight, weight => `${weight.toFixed(1)} plf`),
+    webPatterns: describeValues(fields.pattern, 'patterns'),
+    designRevisions: describeValues(fields.revision, 'revisions'),
+    steelGrades: describeValues(fields.steelGrade, 'grades'),
+    coatings: describeValues(fields.coating, 'types'),
+    instantiationSpeed: describeTimings(library.lookupTimings),  // Joists already loaded
+    loadSpeed: describeTimings(library.loadTimings),             // Joists loaded (built or read) by the request
+  };
+}
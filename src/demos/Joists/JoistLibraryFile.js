@@ -0,0 +1,192 @@
+// JoistLibraryFile.js
+//
+// Binary joist library files: a catalogue of variants with their geometry
+// tessellated ahead of time (scripts/buildJoistLibrary.mjs), so a page can
+// load a library without OpenCascade. Runs in the browser and in Node.
+//
+// Layout (little-endian, sections aligned to 4 bytes):
+//
+//   header     magic "JLIB", format version (uint16), reserved (uint16),
+//              catalogue byte length (uint32), geometry count (uint32)
+//   catalogue  UTF-8 JSON: { tessellation, geometries: [{params, hash}],
+//              variants: [{variantId, geometry, metadata, params?}] }, where
+//              `geometry` indexes the geometry records below, `hash` is the
+//              joistBufferHash() of the geometry as built and a variant's
+//              own `params` are given when they differ from its geometry's
+//              (mirror images and joists that tessellate alike)
+//   geometry   per record: vertex count (uint32), index count (uint32),
+//              index width in bytes (uint32), bounds min/max (6 x float32),
+//              positions (3 x uint16 per vertex, quantized over the bounds),
+//              normals (3 x int8 per vertex), indices (uint16 or uint32)
+//
+// Quantizing positions to 16 bits over each joist's bounds keeps them within
+// 1/65535 of the joist's largest dimension (under 0.03" for a 150' joist).
+import * as THREE from 'three';
+
+const MAGIC = 'JLIB';
+const FORMAT_VERSION = 1;
+const HEADER_BYTES = 16;
+const RECORD_HEADER_BYTES = 36;
+const QUANTIZED_MAX = 65535;
+
+const align4 = (bytes) => (bytes + 3) & ~3;
+
+// Byte length of a geometry record
+const recordBytes = (vertexCount, indexCount, indexWidth) =>
+  RECORD_HEADER_BYTES
+  + align4(vertexCount * 6)
+  + align4(vertexCount * 3)
+  + align4(indexCount * indexWidth);
+
+/**
+ * Encodes a library.
+ *
+ * @param {Object} library
+ * @param {Object} library.tessellation - Tessellation settings the geometry was built with
+ * @param {Array<Object>} library.geometries - {params, hash, geometry} per shared
+ *   geometry; geometry is an indexed THREE.BufferGeometry with normals
+ * @param {Array<Object>} library.variants - {variantId, geometry, metadata, params?},
+ *   with `geometry` the index into `geometries`
+ * @returns {ArrayBuffer} Library file contents
+ */
+export function encodeJoistLibrary({ tessellation, geometries, variants }) {
+  const catalogue = new TextEncoder().encode(JSON.stringify({
+    tessellation,
+    geometries: geometries.map(({ params, hash }) => ({ params, hash })),
+    variants,
+  }));
+
+  const records = geometries.map(({ geometry }, i) => {
+    const position = geometry.getAttribute('position');
+    const normal = geometry.getAttribute('normal');
+    if (!geometry.index || !normal) {
+      throw new Error(`Library geometry ${i} must be indexed and have normals`);
+    }
+    const vertexCount = position.count;
+    const indexCount = geometry.index.count;
+    const indexWidth = vertexCount > 0xffff ? 4 : 2;
+    return { position, normal, index: geometry.index, vertexCount, indexCount, indexWidth };
+  });
+
+  const totalBytes = records.reduce(
+    (sum, r) => sum + recordBytes(r.vertexCount, r.indexCount, r.indexWidth),
+    HEADER_BYTES + align4(catalogue.length),
+  );
+  const buffer = new ArrayBuffer(totalBytes);
+  const view = new DataView(buffer);
+
+  // === HEADER AND CATALOGUE ===
+  [...MAGIC].forEach((char, i) => view.setUint8(i, char.charCodeAt(0)));
+  view.setUint16(4, FORMAT_VERSION, true);
+  view.setUint32(8, catalogue.length, true);
+  view.setUint32(12, records.length, true);
+  new Uint8Array(buffer, HEADER_BYTES, catalogue.length).set(catalogue);
+
+  // === GEOMETRY RECORDS ===
+  let offset = HEADER_BYTES + align4(catalogue.length);
+  records.forEach(({ position, normal, index, vertexCount, indexCount, indexWidth }) => {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let v = 0; v < vertexCount; v++) {
+      for (let axis = 0; axis < 3; axis++) {
+        const value = position.array[3 * v + axis];
+        min[axis] = Math.min(min[axis], value);
+        max[axis] = Math.max(max[axis], value);
+      }
+    }
+    if (vertexCount === 0) {
+      min.fill(0);
+      max.fill(0);
+    }
+
+    view.setUint32(offset, vertexCount, true);
+    view.setUint32(offset + 4, indexCount, true);
+    view.setUint32(offset + 8, indexWidth, true);
+    [...min, ...max].forEach((value, i) => view.setFloat32(offset + 12 + 4 * i, value, true));
+    offset += RECORD_HEADER_BYTES;
+
+    const positions = new Uint16Array(buffer, offset, vertexCount * 3);
+    const normals = new Int8Array(buffer, offset + align4(vertexCount * 6), vertexCount * 3);
+    for (let v = 0; v < vertexCount; v++) {
+      for (let axis = 0; axis < 3; axis++) {
+        const range = max[axis] - min[axis];
+        positions[3 * v + axis] = range > 0
+          ? Math.round((position.array[3 * v + axis] - min[axis]) / range * QUANTIZED_MAX)
+          : 0;
+        normals[3 * v + axis] = Math.round(THREE.MathUtils.clamp(normal.array[3 * v + axis], -1, 1) * 127);
+      }
+    }
+    offset += align4(vertexCount * 6) + align4(vertexCount * 3);
+
+    const IndexArray = indexWidth === 4 ? Uint32Array : Uint16Array;
+    new IndexArray(buffer, offset, indexCount).set(index.array.subarray(0, indexCount));
+    offset += align4(indexCount * indexWidth);
+  });
+
+  return buffer;
+}
+
+/**
+ * Decodes a library file.
+ *
+ * @param {ArrayBuffer} buffer - Library file contents
+ * @returns {Object} {tessellation, geometries: [{params, hash, geometry}], variants}
+ *   as passed to encodeJoistLibrary(), with geometry as THREE.BufferGeometry
+ */
+export function decodeJoistLibrary(buffer) {
+  if (buffer.byteLength < HEADER_BYTES) {
+    throw new Error(`Joist library file is too short (${buffer.byteLength} bytes)`);
+  }
+  const view = new DataView(buffer);
+  const magic = String.fromCharCode(...new Uint8Array(buffer, 0, 4));
+  if (magic !== MAGIC) {
+    throw new Error(`Not a joist library file (starts with "${magic}")`);
+  }
+  const version = view.getUint16(4, true);
+  if (version !== FORMAT_VERSION) {
+    throw new Error(`Joist library file format ${version} is not supported (expected ${FORMAT_VERSION})`);
+  }
+  const catalogueBytes = view.getUint32(8, true);
+  const geometryCount = view.getUint32(12, true);
+
+  const catalogue = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, HEADER_BYTES, catalogueBytes)));
+  if (catalogue.geometries.length !== geometryCount) {
+    throw new Error(`Joist library catalogue lists ${catalogue.geometries.length} geometries, file holds ${geometryCount}`);
+  }
+
+  let offset = HEADER_BYTES + align4(catalogueBytes);
+  const geometries = catalogue.geometries.map(({ params, hash }) => {
+    const vertexCount = view.getUint32(offset, true);
+    const indexCount = view.getUint32(offset + 4, true);
+    const indexWidth = view.getUint32(offset + 8, true);
+    if (offset + recordBytes(vertexCount, indexCount, indexWidth) > buffer.byteLength) {
+      throw new Error('Joist library file is truncated');
+    }
+    const bounds = Array.from({ length: 6 }, (_, i) => view.getFloat32(offset + 12 + 4 * i, true));
+    offset += RECORD_HEADER_BYTES;
+
+    const quantized = new Uint16Array(buffer, offset, vertexCount * 3);
+    const quantizedNormals = new Int8Array(buffer, offset + align4(vertexCount * 6), vertexCount * 3);
+    const positions = new Float32Array(vertexCount * 3);
+    const normals = new Float32Array(vertexCount * 3);
+    for (let i = 0; i < vertexCount * 3; i++) {
+      const axis = i % 3;
+      positions[i] = bounds[axis] + quantized[i] / QUANTIZED_MAX * (bounds[axis + 3] - bounds[axis]);
+      normals[i] = quantizedNormals[i] / 127;
+    }
+    offset += align4(vertexCount * 6) + align4(vertexCount * 3);
+
+    // Copied out of the file buffer so it can be released
+    const IndexArray = indexWidth === 4 ? Uint32Array : Uint16Array;
+    const indices = new IndexArray(buffer.slice(offset, offset + indexCount * indexWidth));
+    offset += align4(indexCount * indexWidth);
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+    geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+    return { params, hash, geometry };
+  });
+
+  return { tessellation: catalogue.tessellation, geometries, variants: catalogue.variants };
+}
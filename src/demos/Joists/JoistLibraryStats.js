@@ -0,0 +1,143 @@
+// JoistLibraryStats.js
+//
+// Library statistics worked out from what a library actually holds, for the
+// library demos' getLibraryStats(): the range or distinct values of every
+// metadata field, the bytes of loaded geometry, how widely geometry is
+// shared and measured timings.
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Metadata values by field, nested objects flattened to dotted fields
+const collectValues = (metadata, prefix, values) => {
+  Object.entries(metadata).forEach(([key, value]) => {
+    const field = prefix + key;
+    if (isPlainObject(value)) {
+      collectValues(value, `${field}.`, values);
+    } else if (value !== undefined && value !== null) {
+      if (!values.has(field)) {
+        values.set(field, []);
+      }
+      values.get(field).push(value);
+    }
+  });
+  return values;
+};
+
+/**
+ * Summarizes every metadata field across a library's variants.
+ *
+ * @param {Array<Object>} variants - {variantId, metadata}
+ * @returns {Object} Per field (dotted for nested metadata, e.g.
+ *   "capacity.totalLoad"): {count, distinct} plus {min, max} for numbers or
+ *   {values} (sorted distinct values) for anything else
+ */
+export function summarizeMetadata(variants) {
+  const values = new Map();
+  variants.forEach(({ metadata }) => collectValues(metadata, '', values));
+
+  const summary = {};
+  values.forEach((fieldValues, field) => {
+    const distinct = [...new Set(fieldValues)];
+    if (fieldValues.every(value => typeof value === 'number')) {
+      summary[field] = {
+        count: fieldValues.length,
+        distinct: distinct.length,
+        min: Math.min(...distinct),
+        max: Math.max(...distinct),
+      };
+    } else {
+      summary[field] = {
+        count: fieldValues.length,
+        distinct: distinct.length,
+        values: distinct.map(String).sort((a, b) => a.localeCompare(b, undefined, { numeric: true })),
+      };
+    }
+  });
+  return summary;
+}
+
+/**
+ * Bytes held by a geometry's attribute and index arrays.
+ *
+ * @param {THREE.BufferGeometry} geometry
+ * @returns {number} Byte length
+ */
+export function geometryByteSize(geometry) {
+  const attributes = Object.values(geometry.attributes).reduce((sum, { array }) => sum + array.byteLength, 0);
+  return attributes + (geometry.index ? geometry.index.array.byteLength : 0);
+}
+
+/**
+ * Timings recorded with recordTiming().
+ *
+ * @returns {Object} {count, totalMs, averageMs, maxMs}, all zero before the first
+ */
+export const createTimings = () => ({ count: 0, totalMs: 0, averageMs: 0, maxMs: 0 });
+
+/**
+ * Adds a measurement to timings from createTimings().
+ *
+ * @param {Object} timings - Updated in place
+ * @param {number} milliseconds - Measured time
+ */
+export function recordTiming(timings, milliseconds) {
+  timings.count++;
+  timings.totalMs += milliseconds;
+  timings.averageMs = timings.totalMs / timings.count;
+  timings.maxMs = Math.max(timings.maxMs, milliseconds);
+}
+
+// === DISPLAY ===
+
+/**
+ * @param {number} bytes
+ * @returns {string} e.g. "12.4 MB", "830.0 KB"
+ */
+export function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+  return `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+/**
+ * Describes how many variants share each geometry.
+ *
+ * @param {Object} sharing - {variants, geometries, mirroredVariants, mergedJoists, ratio}
+ * @returns {string} e.g. "20.0:1 (10,000 variants on 500 geometries; 12 mirrored, 3 merged)"
+ */
+export function describeSharing({ variants, geometries, mirroredVariants, mergedJoists, ratio }) {
+  return `${ratio.toFixed(1)}:1 (${variants.toLocaleString()} variants on ${geometries.toLocaleString()} geometries; `
+    + `${mirroredVariants.toLocaleString()} mirrored, ${mergedJoists.toLocaleString()} merged)`;
+}
+
+/**
+ * Describes a numeric field's range.
+ *
+ * @param {Object} [field] - Field summary from summarizeMetadata()
+ * @param {Function} [format] - Formats a value
+ * @returns {string} e.g. "40'-0\" to 80'-0\"", the one value, or "none"
+ */
+export function describeRange(field, format = String) {
+  if (!field || field.min === undefined) {
+    return 'none';
+  }
+  return field.min === field.max ? format(field.min) : `${format(field.min)} to ${format(field.max)}`;
+}
+
+/**
+ * Describes a field's distinct values, listing them when there are few.
+ *
+ * @param {Object} [field] - Field summary from summarizeMetadata()
+ * @param {string} noun - Plural noun for the values, e.g. "grades"
+ * @param {number} [maxListed] - Most values to list
+ * @returns {string} e.g. "3 grades (A36, A572-50, A992)", "100 specs" or "none"
+ */
+export function describeValues(field, noun, maxListed = 6) {
+  if (!field) {
+    return 'none';
+  }
+  const values = field.values ?? [];
+  const listed = values.length > 0 && values.length <= maxListed ? ` (${values.join(', ')})` : '';
+  return `${field.distinct} ${noun}${listed}`;
+}
@@ -0,0 +1,457 @@
+// JoistParams.js
+import { WEB_PATTERNS, TOP_CHORD_PROFILES, angleCentroidOffset, parseNodeRef } from './JoistLayout.js';
+import { INTERNAL_UNIT, LENGTH_UNITS, formatLength, lengthsToInternal } from '../../common/units.js';
+
+// Default joist parameters. All dimensions are in inches.
+// These reproduce the original hard-coded 48' joist.
+export const DEFAULT_JOIST_PARAMS = Object.freeze({
+  // Unit of the lengths passed in (one of LENGTH_UNITS in common/units.js).
+  // Lengths may also be strings with their own unit ("48'", "14.6 m"); all
+  // are resolved to inches. Slopes stay in inches per foot.
+  units: INTERNAL_UNIT,
+
+  topChordLength: 48 * 12,    // 48 feet, bearing to bearing (excluding extensions)
+  bottomChordLength: 42 * 12, // 42 feet
+  joistDepth: 36,             // Out-to-out depth (at the low end when sloped)
+
+  numTopNodes: 17,            // Panel points along the top chord
+  numBottomNodes: 16,         // Panel points along the bottom chord
+
+  angleLeg1: 3,               // Vertical leg of each chord angle
+  angleLeg2: 3,               // Horizontal leg of each chord angle
+  angleThickness: 0.25,
+  angleGap: 1.0,              // Gap between the two chord angles
+  webSection: 'round',        // One of WEB_SECTIONS
+  webDiameter: 1.0,           // Round bar web diameter
+  webAngleLeg: 1.5,           // Web angle leg, for 'crimpedAngle' and 'doubleAngle'
+  webAngleThickness: 0.1875,  // Web angle thickness, for 'crimpedAngle' and 'doubleAngle'
+
+  topChordProfile: 'flat',    // One of TOP_CHORD_PROFILES (see JoistLayout.js)
+  topChordSlope: 0.25,        // Inches per foot, for 'singleSlope' and 'doublePitch'
+  topChordRise: 12,           // Mid-span rise above the ends, for 'bowstring'
+
+  webPattern: 'warren',       // One of WEB_PATTERNS (see JoistLayout.js)
+  customWebMembers: null,     // [{ from: 'B0', to: 'T1' }, ...] for 'custom'
+  webEccentricity: 0,         // Working point offset from the chord centroid toward its outer face
+
+  // Mid-span camber of both chords: a length, 'sji' for the SJI camber table
+  // by span, or null for none. Resolved to inches (0 for none).
+  camber: null,
+
+  // Bearing seats at both ends, or null for none.
+  // { series: 'K' | 'LH' | 'DLH' | 'JG', depth?, length?, slope? } - depth and length default
+  // to the series values below, the depth deepened (with a warning) when the
+  // chord angles need more; slope is the pitch of the bearing surface in
+  // inches per foot, positive when it rises toward mid-span.
+  bearingSeat: null,
+
+  // Cantilevered chord extensions beyond each end, or null for none.
+  // topChordExtensions:    { left?, right? } each { type: 'S' | 'R', length, angleLeg?, angleThickness? }
+  // bottomChordExtensions: { left?, right? } each { length, angleLeg?, angleThickness? }
+  // 'S' extensions and bottom chord extensions are built from their own angle
+  // pair; 'R' extensions continue the top chord and add a pair of reinforcing
+  // angles beneath it. Angle sizes default to the chord angles.
+  topChordExtensions: null,
+  bottomChordExtensions: null,
+
+  // Filler plates in the gap between each chord's angles, or null for none.
+  // { spacing?, length?, atPanelPoints? } - a filler at every panel point
+  // (unless atPanelPoints is false) and more in between so fillers are never
+  // further apart than `spacing`. Defaults in CHORD_FILLER_DEFAULTS.
+  chordFillers: null,
+
+  // Fillet welds where the webs bear on the chord angles, or null for none.
+  // { size? } - fillet leg size, default in WELD_DEFAULTS.
+  welds: null,
+
+  // Fuse all members (BRepAlgoAPI_Fuse) into one solid instead of returning a
+  // compound of overlapping solids. Much slower; use for volume, weight and
+  // export. Chord fillers and welds tie the chord angles and webs together,
+  // so a fused joist gets them at their defaults unless given; CreateJoist
+  // throws if the result is not a single valid solid.
+  fuse: false,
+});
+
+// Web member cross-sections
+//  - round:        solid round bar of `webDiameter`, between the chord angles
+//  - crimpedAngle: single angle with its ends crimped flat into the chord gap
+//  - doubleAngle:  back-to-back angles lapping the outside of the chord's vertical legs
+export const WEB_SECTIONS = Object.freeze(['round', 'crimpedAngle', 'doubleAngle']);
+
+export const TOP_CHORD_EXTENSION_TYPES = Object.freeze(['S', 'R']);
+
+export const CHORD_FILLER_DEFAULTS = Object.freeze({ spacing: 36, length: 2.5, atPanelPoints: true });
+export const WELD_DEFAULTS = Object.freeze({ size: 0.1875 });
+
+// Standard bearing seat dimensions (inches) by joist series.
+// Depth is measured from the top of the top chord to the bearing surface.
+export const BEARING_SEAT_SERIES = Object.freeze({
+  K: Object.freeze({ depth: 2.5, length: 4 }),
+  LH: Object.freeze({ depth: 5, length: 6 }),
+  DLH: Object.freeze({ depth: 7.5, length: 6 }),
+  JG: Object.freeze({ depth: 7.5, length: 8 }),  // Joist girders
+});
+
+// Approximate camber (inches) by top chord length (feet), from the SJI
+// standard specifications. Spans in between are interpolated; shorter and
+// longer spans take the end values.
+export const SJI_CAMBER_TABLE = Object.freeze([
+  [20, 0.25], [30, 0.375], [40, 0.625], [50, 1], [60, 1.5], [70, 2],
+  [80, 2.75], [90, 3.5], [100, 4.25], [110, 5], [120, 6], [130, 7],
+  [140, 8], [144, 8.5],
+].map(row => Object.freeze(row)));
+
+/**
+ * Looks up the SJI camber for a span.
+ *
+ * @param {number} topChordLength - Top chord length in inches
+ * @returns {number} Camber in inches
+ */
+export function sjiCamber(topChordLength) {
+  const spanFt = topChordLength / 12;
+  const first = SJI_CAMBER_TABLE[0];
+  const last = SJI_CAMBER_TABLE[SJI_CAMBER_TABLE.length - 1];
+  if (spanFt <= first[0]) {
+    return first[1];
+  }
+  if (spanFt >= last[0]) {
+    return last[1];
+  }
+  const i = SJI_CAMBER_TABLE.findIndex(([ft]) => ft >= spanFt);
+  const [ft0, c0] = SJI_CAMBER_TABLE[i - 1];
+  const [ft1, c1] = SJI_CAMBER_TABLE[i];
+  return c0 + (c1 - c0) * (spanFt - ft0) / (ft1 - ft0);
+}
+
+const resolveCamber = ({ camber, topChordLength }) => {
+  if (camber === null) {
+    return 0;
+  }
+  if (camber === 'sji') {
+    return sjiCamber(topChordLength);
+  }
+  if (typeof camber !== 'number' || !Number.isFinite(camber) || camber < 0) {
+    throw new Error(`Joist camber must be a non-negative number, 'sji' or null (got ${camber})`);
+  }
+  return camber;
+};
+
+const requirePositive = (params, key) => {
+  const value = params[key];
+  if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+    throw new Error(`Joist parameter "${key}" must be a positive number (got ${value})`);
+  }
+};
+
+const requireInteger = (params, key, min) => {
+  const value = params[key];
+  if (!Number.isInteger(value) || value < min) {
+    throw new Error(`Joist parameter "${key}" must be an integer >= ${min} (got ${value})`);
+  }
+};
+
+const validateCustomWebMembers = ({ customWebMembers, numTopNodes, numBottomNodes }) => {
+  if (!Array.isArray(customWebMembers) || customWebMembers.length === 0) {
+    throw new Error('Joist web pattern "custom" requires a non-empty customWebMembers list');
+  }
+  const nodeCounts = { top: numTopNodes, bottom: numBottomNodes };
+
+  customWebMembers.forEach((member, i) => {
+    const refs = [parseNodeRef(member && member.from), parseNodeRef(member && member.to)];
+    if (refs.some(ref => ref === null)) {
+      throw new Error(`Custom web member ${i} must connect two node references like "B0" and "T1"`);
+    }
+    if (refs[0].chord === refs[1].chord) {
+      throw new Error(`Custom web member ${i} must connect the top chord to the bottom chord`);
+    }
+    refs.forEach(ref => {
+      if (ref.index >= nodeCounts[ref.chord]) {
+        throw new Error(`Custom web member ${i} references missing ${ref.chord} chord node ${ref.index}`);
+      }
+    });
+  });
+};
+
+// Warnings already given, so resolving the same joist again stays quiet
+const WARNINGS_GIVEN = new Set();
+const warnOnce = (message) => {
+  if (!WARNINGS_GIVEN.has(message)) {
+    WARNINGS_GIVEN.add(message);
+    console.warn(message);
+  }
+};
+
+const resolveBearingSeat = ({ bearingSeat, topChordLength, angleLeg1, angleThickness }) => {
+  if (typeof bearingSeat !== 'object' || Array.isArray(bearingSeat)) {
+    throw new Error('Joist bearingSeat must be an object or null');
+  }
+  const series = BEARING_SEAT_SERIES[bearingSeat.series];
+  if (!series) {
+    throw new Error(`Joist bearing seat series must be one of ${Object.keys(BEARING_SEAT_SERIES).join(', ')} (got ${bearingSeat.series})`);
+  }
+
+  const seat = {
+    series: bearingSeat.series,
+    depth: bearingSeat.depth ?? series.depth,
+    length: bearingSeat.length ?? series.length,
+    slope: bearingSeat.slope ?? 0,
+  };
+  requirePositive(seat, 'depth');
+  requirePositive(seat, 'length');
+  if (typeof seat.slope !== 'number' || !Number.isFinite(seat.slope)) {
+    throw new Error(`Joist bearing seat slope must be a number (got ${seat.slope})`);
+  }
+
+  if (seat.length >= topChordLength / 2) {
+    throw new Error('Joist bearing seat is longer than half the top chord');
+  }
+  // The chord's vertical legs must not hang below the bearing surface
+  const minimumDepth = angleLeg1 + angleThickness + Math.max(0, seat.slope * seat.length / 12);
+  if (seat.depth < minimumDepth) {
+    if (bearingSeat.depth !== undefined) {
+      throw new Error(`Joist bearing seat depth must exceed the chord vertical leg (${formatLength(minimumDepth)} minimum)`);
+    }
+    // The series depth is for the series' own chords; deeper chords get a deeper seat
+    warnOnce(`Standard ${seat.series} bearing seat (${formatLength(seat.depth)}) is too shallow for the chord angles; using ${formatLength(minimumDepth)}`);
+    seat.depth = minimumDepth;
+  }
+
+  return seat;
+};
+
+// Merges an optional feature object over its defaults, requiring the listed
+// keys to be positive numbers
+const resolveOption = (option, name, defaults, positiveKeys) => {
+  if (typeof option !== 'object' || Array.isArray(option)) {
+    throw new Error(`Joist ${name} must be an object or null`);
+  }
+  const resolved = { ...defaults };
+  for (const [key, value] of Object.entries(option)) {
+    if (!(key in defaults)) {
+      throw new Error(`Unknown joist ${name} option "${key}"`);
+    }
+    if (value !== undefined) {
+      resolved[key] = value;
+    }
+  }
+  positiveKeys.forEach(key => {
+    const value = resolved[key];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+      throw new Error(`Joist ${name}.${key} must be a positive number (got ${value})`);
+    }
+  });
+  return resolved;
+};
+
+const resolveChordFillers = (params) => {
+  const fillers = resolveOption(params.chordFillers, 'chordFillers', CHORD_FILLER_DEFAULTS, ['spacing', 'length']);
+  if (typeof fillers.atPanelPoints !== 'boolean') {
+    throw new Error(`Joist chordFillers.atPanelPoints must be true or false (got ${fillers.atPanelPoints})`);
+  }
+  if (fillers.length >= fillers.spacing) {
+    throw new Error('Joist chord filler length must be smaller than the filler spacing');
+  }
+  return fillers;
+};
+
+const resolveExtensions = (extensions, name, resolveOne) => {
+  if (typeof extensions !== 'object' || Array.isArray(extensions)) {
+    throw new Error(`Joist ${name} must be an object or null`);
+  }
+  const resolved = { left: null, right: null };
+  for (const [side, extension] of Object.entries(extensions)) {
+    if (!(side in resolved)) {
+      throw new Error(`Joist ${name} side must be "left" or "right" (got ${side})`);
+    }
+    if (extension) {
+      resolved[side] = resolveOne(extension, `${name}.${side}`);
+    }
+  }
+  return resolved;
+};
+
+const resolveExtensionAngle = (extension, name, params) => {
+  const resolved = {
+    length: extension.length,
+    angleLeg: extension.angleLeg ?? params.angleLeg1,
+    angleThickness: extension.angleThickness ?? params.angleThickness,
+  };
+  ['length', 'angleLeg', 'angleThickness'].forEach(key => {
+    const value = resolved[key];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+      throw new Error(`Joist ${name}.${key} must be a positive number (got ${value})`);
+    }
+  });
+  if (resolved.angleThickness >= resolved.angleLeg) {
+    throw new Error(`Joist ${name} angle thickness must be smaller than its leg`);
+  }
+  return resolved;
+};
+
+const resolveChordExtensions = (params) => {
+  const topChordExtensions = params.topChordExtensions === null ? null
+    : resolveExtensions(params.topChordExtensions, 'topChordExtensions', (extension, name) => {
+      if (!TOP_CHORD_EXTENSION_TYPES.includes(extension.type)) {
+        throw new Error(`Joist ${name}.type must be one of ${TOP_CHORD_EXTENSION_TYPES.join(', ')} (got ${extension.type})`);
+      }
+      return { type: extension.type, ...resolveExtensionAngle(extension, name, params) };
+    });
+
+  const bottomChordExtensions = params.bottomChordExtensions === null ? null
+    : resolveExtensions(params.bottomChordExtensions, 'bottomChordExtensions', (extension, name) => {
+      const resolved = resolveExtensionAngle(extension, name, params);
+      // A bottom chord extension may run out to the bearing, not past it
+      if (params.bottomChordLength / 2 + resolved.length > params.topChordLength / 2) {
+        throw new Error(`Joist ${name} runs past the bearing end of the top chord`);
+      }
+      return resolved;
+    });
+
+  return { topChordExtensions, bottomChordExtensions };
+};
+
+// Length parameters, converted to inches before they are merged over the defaults
+const LENGTH_PARAMS = ['topChordLength', 'bottomChordLength', 'joistDepth',
+  'angleLeg1', 'angleLeg2', 'angleThickness', 'angleGap',
+  'webDiameter', 'webAngleLeg', 'webAngleThickness', 'topChordRise', 'webEccentricity', 'camber'];
+const NESTED_LENGTH_PARAMS = {
+  bearingSeat: ['depth', 'length'],
+  chordFillers: ['spacing', 'length'],
+  welds: ['size'],
+};
+const EXTENSION_LENGTHS = ['length', 'angleLeg', 'angleThickness'];
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const paramsInInches = (params, units) => {
+  if (!(units in LENGTH_UNITS)) {
+    throw new Error(`Joist units must be one of ${Object.keys(LENGTH_UNITS).join(', ')} (got ${units})`);
+  }
+  const converted = lengthsToInternal(params, LENGTH_PARAMS, units,
+    (value, key) => typeof value === 'number' || (typeof value === 'string' && !(key === 'camber' && value === 'sji')));
+
+  Object.entries(NESTED_LENGTH_PARAMS).forEach(([key, keys]) => {
+    if (isPlainObject(converted[key])) {
+      converted[key] = lengthsToInternal(converted[key], keys, units);
+    }
+  });
+  ['topChordExtensions', 'bottomChordExtensions'].forEach(key => {
+    if (isPlainObject(converted[key])) {
+      converted[key] = Object.fromEntries(Object.entries(converted[key]).map(([side, extension]) =>
+        [side, isPlainObject(extension) ? lengthsToInternal(extension, EXTENSION_LENGTHS, units) : extension]));
+    }
+  });
+  return { ...converted, units: INTERNAL_UNIT };
+};
+
+/**
+ * Merges user parameters over the defaults and validates the result.
+ * Throws an Error describing the first invalid parameter.
+ *
+ * @param {Object} [params] - Partial joist parameters
+ * @returns {Object} Complete, validated joist parameters
+ */
+export function resolveJoistParams(params = {}) {
+  if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+    throw new Error('Joist parameters must be an object');
+  }
+
+  const resolved = { ...DEFAULT_JOIST_PARAMS };
+  for (const key of Object.keys(params)) {
+    if (!(key in DEFAULT_JOIST_PARAMS)) {
+      throw new Error(`Unknown joist parameter "${key}"`);
+    }
+  }
+  const inInches = paramsInInches(params, params.units ?? INTERNAL_UNIT);
+  for (const [key, value] of Object.entries(inInches)) {
+    if (value !== undefined) {
+      resolved[key] = value;
+    }
+  }
+
+  // --- Individual values ---
+  ['topChordLength', 'bottomChordLength', 'joistDepth',
+    'angleLeg1', 'angleLeg2', 'angleThickness', 'angleGap',
+    'webDiameter', 'webAngleLeg', 'webAngleThickness']
+    .forEach(key => requirePositive(resolved, key));
+  requireInteger(resolved, 'numTopNodes', 2);
+  requireInteger(resolved, 'numBottomNodes', 2);
+
+  // --- Relationships between values ---
+  if (resolved.bottomChordLength > resolved.topChordLength) {
+    throw new Error('Joist bottom chord cannot be longer than the top chord');
+  }
+  if (resolved.angleThickness >= Math.min(resolved.angleLeg1, resolved.angleLeg2)) {
+    throw new Error('Joist chord angle thickness must be smaller than both legs');
+  }
+  if (2 * resolved.angleLeg1 >= resolved.joistDepth) {
+    throw new Error('Joist depth is too small for the chord angles');
+  }
+
+  // --- Web section ---
+  if (!WEB_SECTIONS.includes(resolved.webSection)) {
+    throw new Error(`Joist web section must be one of ${WEB_SECTIONS.join(', ')} (got ${resolved.webSection})`);
+  }
+  if (resolved.webSection === 'round' && resolved.webDiameter > resolved.angleGap) {
+    throw new Error('Joist web diameter cannot exceed the gap between chord angles');
+  }
+  if (resolved.webSection !== 'round' && resolved.webAngleThickness >= resolved.webAngleLeg) {
+    throw new Error('Joist web angle thickness must be smaller than its leg');
+  }
+  if (resolved.webSection === 'crimpedAngle' && resolved.webAngleThickness > resolved.angleGap) {
+    throw new Error('Joist crimped web angle is too thick for the gap between chord angles');
+  }
+
+  // --- Top chord profile ---
+  if (!TOP_CHORD_PROFILES.includes(resolved.topChordProfile)) {
+    throw new Error(`Joist top chord profile must be one of ${TOP_CHORD_PROFILES.join(', ')} (got ${resolved.topChordProfile})`);
+  }
+  ['topChordSlope', 'topChordRise'].forEach(key => {
+    const value = resolved[key];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw new Error(`Joist parameter "${key}" must be a non-negative number (got ${value})`);
+    }
+  });
+
+  // --- Web configuration ---
+  if (!WEB_PATTERNS.includes(resolved.webPattern)) {
+    throw new Error(`Joist web pattern must be one of ${WEB_PATTERNS.join(', ')} (got ${resolved.webPattern})`);
+  }
+  if (resolved.webPattern === 'custom') {
+    validateCustomWebMembers(resolved);
+  }
+  if (typeof resolved.webEccentricity !== 'number' || !Number.isFinite(resolved.webEccentricity)) {
+    throw new Error(`Joist parameter "webEccentricity" must be a number (got ${resolved.webEccentricity})`);
+  }
+  const workPointDepth = angleCentroidOffset(resolved.angleLeg1, resolved.angleLeg2, resolved.angleThickness)
+    - resolved.webEccentricity;
+  if (workPointDepth < 0 || workPointDepth > resolved.angleLeg1) {
+    throw new Error('Joist web eccentricity moves the working points outside the chord angles');
+  }
+
+  resolved.camber = resolveCamber(resolved);
+
+  if (typeof resolved.fuse !== 'boolean') {
+    throw new Error(`Joist parameter "fuse" must be true or false (got ${resolved.fuse})`);
+  }
+
+  if (resolved.bearingSeat !== null) {
+    resolved.bearingSeat = resolveBearingSeat(resolved);
+  }
+  // The chord angles only join through the fillers between them
+  if (resolved.fuse && resolved.chordFillers === null) {
+    resolved.chordFillers = {};
+  }
+  if (resolved.fuse && resolved.welds === null) {
+    resolved.welds = {};
+  }
+  if (resolved.chordFillers !== null) {
+    resolved.chordFillers = resolveChordFillers(resolved);
+  }
+  if (resolved.welds !== null) {
+    resolved.welds = resolveOption(resolved.welds, 'welds', WELD_DEFAULTS, ['size']);
+  }
+  Object.assign(resolved, resolveChordExtensions(resolved));
+
+  return resolved;
+}
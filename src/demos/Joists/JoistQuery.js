@@ -0,0 +1,136 @@
+// JoistQuery.js
+//
+// Filtering, sorting and paging of joist library variants by their metadata,
+// shared by the library demos' queryJoistLibrary(). Fields are metadata keys,
+// with dots for nested values ("capacity.totalLoad").
+//
+// A `where` condition per field is one of:
+//  - a plain value:        equal to it ("A992")
+//  - an array:             equal to any of its values (['1-Hour', '2-Hour'])
+//  - { min, max }:         within the range, ends included, one end optional
+//  - a function:           called with the value, true to keep the variant
+
+export const DEFAULT_PAGE_SIZE = 50;
+
+const SORT_ORDERS = ['asc', 'desc'];
+
+const fieldValue = (metadata, field) =>
+  field.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), metadata);
+
+const isRange = (condition) =>
+  condition !== null && typeof condition === 'object' && !Array.isArray(condition)
+  && Object.keys(condition).every(key => key === 'min' || key === 'max');
+
+// Predicate on one field's value for a `where` condition
+const matcher = (field, condition) => {
+  if (typeof condition === 'function') {
+    return condition;
+  }
+  if (Array.isArray(condition)) {
+    return value => condition.includes(value);
+  }
+  if (isRange(condition)) {
+    if (condition.min === undefined && condition.max === undefined) {
+      throw new Error(`Query range for ${field} needs a min, a max or both`);
+    }
+    const { min = -Infinity, max = Infinity } = condition;
+    if (typeof min !== 'number' || typeof max !== 'number' || min > max) {
+      throw new Error(`Query range for ${field} must have numeric min <= max (got ${JSON.stringify(condition)})`);
+    }
+    return value => typeof value === 'number' && value >= min && value <= max;
+  }
+  if (condition !== null && typeof condition === 'object') {
+    throw new Error(`Query condition for ${field} must be a value, an array, {min, max} or a function`);
+  }
+  return value => value === condition;
+};
+
+// Sort keys as [{field, order}], from 'field', {field, order} or an array of them
+const resolveSort = (sort) => {
+  if (sort === undefined || sort === null) {
+    return [];
+  }
+  return (Array.isArray(sort) ? sort : [sort]).map(key => {
+    const { field, order = 'asc' } = typeof key === 'string' ? { field: key } : key ?? {};
+    if (typeof field !== 'string' || field === '') {
+      throw new Error(`Query sort keys must be field names or {field, order} (got ${JSON.stringify(key)})`);
+    }
+    if (!SORT_ORDERS.includes(order)) {
+      throw new Error(`Query sort order for ${field} must be one of ${SORT_ORDERS.join(', ')} (got ${order})`);
+    }
+    return { field, order };
+  });
+};
+
+const requirePositiveInteger = (name, value) => {
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`Query ${name} must be a positive integer (got ${value})`);
+  }
+};
+
+// Numbers before strings before missing values, whatever the order; the
+// order only applies between values of the same kind
+const compareValues = (a, b, order) => {
+  const rank = value => (typeof value === 'number' ? 0 : value === undefined || value === null ? 2 : 1);
+  if (rank(a) !== rank(b)) {
+    return rank(a) - rank(b);
+  }
+  const difference = rank(a) === 0 ? a - b
+    : rank(a) === 1 ? String(a).localeCompare(String(b), undefined, { numeric: true }) : 0;
+  return order === 'desc' ? -difference : difference;
+};
+
+/**
+ * Filters, sorts and pages library variants.
+ *
+ * @param {Array<Object>} variants - {variantId, metadata} in library order
+ * @param {Object} [query]
+ * @param {Object} [query.where] - Condition per metadata field (see above)
+ * @param {string|Object|Array} [query.sort] - Field name, {field, order} or a
+ *   list of them, most significant first; library order by default
+ * @param {number} [query.page] - 1-based page number (1)
+ * @param {number} [query.pageSize] - Variants per page (DEFAULT_PAGE_SIZE)
+ * @returns {Object} {variants, total, page, pageSize, pageCount}: the page's
+ *   variants and the number matching in all
+ */
+export function queryVariants(variants, { where = {}, sort, page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+  if (where === null || typeof where !== 'object' || Array.isArray(where)) {
+    throw new Error('Query where must be an object of field conditions');
+  }
+  requirePositiveInteger('page', page);
+  requirePositiveInteger('pageSize', pageSize);
+  const sortKeys = resolveSort(sort);
+
+  // Catch misspelt fields rather than quietly matching nothing
+  [...Object.keys(where), ...sortKeys.map(({ field }) => field)].forEach(field => {
+    if (!variants.some(({ metadata }) => fieldValue(metadata, field) !== undefined)) {
+      throw new Error(`No library variant has a metadata field "${field}"`);
+    }
+  });
+
+  const conditions = Object.entries(where).map(([field, condition]) => [field, matcher(field, condition)]);
+  const matching = variants.filter(({ metadata }) =>
+    conditions.every(([field, matches]) => matches(fieldValue(metadata, field))));
+
+  if (sortKeys.length > 0) {
+    // Array.prototype.sort is stable, so ties keep library order
+    matching.sort((a, b) => {
+      for (const { field, order } of sortKeys) {
+        const difference = compareValues(fieldValue(a.metadata, field), fieldValue(b.metadata, field), order);
+        if (difference !== 0) {
+          return difference;
+        }
+      }
+      return 0;
+    });
+  }
+
+  const start = (page - 1) * pageSize;
+  return {
+    variants: matching.slice(start, start + pageSize),
+    total: matching.length,
+    page,
+    pageSize,
+    pageCount: Math.ceil(matching.length / pageSize),
+  };
+}
@@ -0,0 +1,217 @@
+// JoistRevisionControls.js
+//
+// The revision panel of the library demos (#revision-controls in their
+// index.html). Compares two design revisions of a joist mark used in the
+// building: the parameters and metadata that change are listed, the geometric
+// diff is drawn over the placed joists of the mark, and the joists that
+// promoting the later revision would change are highlighted. "New Revision"
+// adds a revision with the next web pattern to have something to compare;
+// promoting it re-places the affected joists.
+import * as THREE from 'three';
+import { joistMark } from './JoistDesignation.js';
+import { createJoistDiffOverlay } from './JoistRevisions.js';
+
+const REVISION_WEB_PATTERNS = ['warren', 'modifiedWarren', 'pratt'];  // Cycled by "New Revision"
+
+// Diff overlays on placed joists (clones of the template, which owns their
+// geometries and materials) and the materials of joists highlighted as
+// changed by a promotion
+let revisionOverlays = [];
+let revisionOverlayTemplate = null;
+const revisionHighlights = new Map();
+const revisionHighlightMaterial = new THREE.MeshPhongMaterial({ color: 0x3399ff, side: THREE.DoubleSide });
+
+/**
+ * Fills in the revision panel for the marks placed in the building and wires
+ * up its buttons. Does nothing when the page has no revision panel.
+ *
+ * @param {Object} library - The demo's library module, for its
+ *   getRevisionHistory(), addJoistRevision(), diffJoistRevisions(),
+ *   getPromotionImpact(), promoteJoistRevision() and instantiateJoistFromLibrary()
+ * @param {Function} placedMeshes - Returns the placed joist meshes, their
+ *   userData holding variantId, metadata, requirements, floor and bay
+ */
+export function setupJoistRevisionControls(library, placedMeshes) {
+  const elements = {
+    mark: document.getElementById('revision-mark'),
+    from: document.getElementById('revision-from'),
+    to: document.getElementById('revision-to'),
+    add: document.getElementById('revision-add-btn'),
+    compare: document.getElementById('revision-compare-btn'),
+    promote: document.getElementById('revision-promote-btn'),
+    clear: document.getElementById('revision-clear-btn'),
+    diff: document.getElementById('revision-diff'),
+  };
+  if (Object.values(elements).some(element => !element)) return;
+
+  // Marks placed in the building, with the designation and span to look them up
+  const placedMarks = new Map();
+  placedMeshes().forEach(mesh => {
+    const { designation, length } = mesh.userData.metadata;
+    placedMarks.set(joistMark(designation, length), { designation, span: length });
+  });
+  [...placedMarks.keys()].sort((a, b) => a.localeCompare(b, undefined, { numeric: true })).forEach(mark => {
+    elements.mark.add(new Option(mark, mark));
+  });
+
+  const selectedMark = () => placedMarks.get(elements.mark.value);
+  const fillRevisions = (toRevision) => {
+    const { designation, span } = selectedMark();
+    const [{ current, latest, revisions }] = library.getRevisionHistory(designation, span);
+    [elements.from, elements.to].forEach(select => {
+      select.innerHTML = '';
+      revisions.forEach(({ revision }) => {
+        select.add(new Option(revision === current ? `R${revision} (current)` : `R${revision}`, revision));
+      });
+    });
+    elements.from.value = current;
+    elements.to.value = toRevision ?? latest;
+  };
+
+  elements.mark.addEventListener('change', () => {
+    clearRevisionDisplay(elements.diff);
+    fillRevisions();
+  });
+
+  elements.add.addEventListener('click', () => {
+    const { designation, span } = selectedMark();
+    const [{ revisions }] = library.getRevisionHistory(designation, span);
+    const { webPattern } = revisions[revisions.length - 1].params;
+    const nextPattern = REVISION_WEB_PATTERNS[(REVISION_WEB_PATTERNS.indexOf(webPattern) + 1) % REVISION_WEB_PATTERNS.length];
+    const variantId = library.addJoistRevision(designation, span, { params: { webPattern: nextPattern } });
+    console.log(`Added ${variantId}: ${webPattern} → ${nextPattern} web`);
+    fillRevisions();
+  });
+
+  elements.compare.addEventListener('click', () => {
+    const { designation, span } = selectedMark();
+    showRevisionDiff(library, placedMeshes(), designation, span,
+      Number(elements.from.value), Number(elements.to.value), elements.diff);
+  });
+
+  elements.promote.addEventListener('click', async () => {
+    const { designation, span } = selectedMark();
+    const revision = Number(elements.to.value);
+    elements.promote.disabled = true;
+    try {
+      clearRevisionDisplay(elements.diff);
+      const placed = await promoteRevision(library, placedMeshes(), designation, span, revision);
+      elements.diff.textContent = `${joistMark(designation, span)} R${revision} promoted: ${placed} joists re-placed`;
+      fillRevisions(revision);
+    } finally {
+      elements.promote.disabled = false;
+    }
+  });
+
+  elements.clear.addEventListener('click', () => clearRevisionDisplay(elements.diff));
+
+  fillRevisions();
+}
+
+// Placed joists as placements for getPromotionImpact(), keeping their mesh
+const placementsOf = (meshes) => meshes.map(mesh => ({
+  variantId: mesh.userData.variantId,
+  requirements: mesh.userData.requirements,
+  mesh,
+}));
+
+// Short display of a metadata or parameter value
+const formatRevisionValue = (value) => JSON.stringify(value, (key, item) =>
+  (typeof item === 'number' ? Math.round(item * 1000) / 1000 : item));
+
+// Lists the differences between two revisions and shows them in the viewer:
+// the geometric diff over each placed joist of the mark, and the joists
+// promoting the later revision would change in blue
+function showRevisionDiff(library, meshes, designation, span, from, to, diffElement) {
+  clearRevisionDisplay(diffElement);
+  const diff = library.diffJoistRevisions(designation, span, from, to);
+  const { webMembers, topChord, bottomChord, chordSection, bearingSeats, unchanged } = diff.geometry;
+
+  const lines = [`${diff.from} → R${to}`];
+  diff.params.forEach(({ key, before, after }) => {
+    lines.push(`  ${key}: ${formatRevisionValue(before)} → ${formatRevisionValue(after)}`);
+  });
+  diff.metadata.forEach(({ field, before, after }) => {
+    lines.push(`  ${field}: ${formatRevisionValue(before)} → ${formatRevisionValue(after)}`);
+  });
+  if (unchanged) {
+    lines.push('Geometry unchanged');
+  } else {
+    lines.push(`Web members: ${webMembers.removed.length} removed, ${webMembers.added.length} added, ${webMembers.resectioned.length} resectioned`);
+    if (topChord || bottomChord) lines.push('Chord profile changes');
+    if (chordSection) lines.push('Chord section changes');
+    if (bearingSeats) lines.push('Bearing seats change');
+  }
+
+  // === VIEWER HIGHLIGHTS ===
+  const mark = joistMark(designation, span);
+  const overlay = createJoistDiffOverlay(diff.geometry);
+  revisionOverlayTemplate = overlay;
+  meshes
+    .filter(mesh => joistMark(mesh.userData.metadata.designation, mesh.userData.metadata.length) === mark)
+    .forEach(mesh => {
+      // Clones share the template's geometries and materials
+      const meshOverlay = overlay.clone();
+      // Mirrored joists would show it mirrored too
+      if (mesh.scale.z < 0) meshOverlay.scale.x = -1;
+      mesh.add(meshOverlay);
+      revisionOverlays.push(meshOverlay);
+    });
+
+  const impact = library.getPromotionImpact(placementsOf(meshes), designation, span, to);
+  impact.forEach(({ placement }) => {
+    revisionHighlights.set(placement.mesh, placement.mesh.material);
+    placement.mesh.material = revisionHighlightMaterial;
+  });
+  const changes = new Map();  // "from → to" -> joists
+  impact.forEach(({ from: before, to: after }) => {
+    const change = `${before} → ${after ?? 'no adequate joist'}`;
+    changes.set(change, (changes.get(change) ?? 0) + 1);
+  });
+  lines.push(`Promoting R${to} changes ${impact.length} placed joists${impact.length > 0 ? ':' : ''}`);
+  changes.forEach((count, change) => lines.push(`  ${count} × ${change}`));
+
+  diffElement.textContent = lines.join('\n');
+  console.log(lines.join('\n'));
+}
+
+// Promotes a revision and re-places the joists it changes with their new
+// library joists, returning how many were re-placed
+async function promoteRevision(library, meshes, designation, span, revision) {
+  const impact = library.getPromotionImpact(placementsOf(meshes), designation, span, revision);
+  library.promoteJoistRevision(designation, span, revision);
+
+  let placed = 0;
+  for (const { placement, to } of impact) {
+    if (to === null) {
+      console.warn(`No library joist carries the loads on floor ${placement.mesh.userData.floor + 1}, bay ${placement.mesh.userData.bay + 1}; keeping ${placement.variantId}`);
+      continue;
+    }
+    const joistData = await library.instantiateJoistFromLibrary(placement.requirements);
+    placement.mesh.geometry = joistData.geometry;
+    placement.mesh.scale.z = joistData.mirrored ? -1 : 1;
+    placement.mesh.userData.variantId = joistData.variantId;
+    placement.mesh.userData.metadata = joistData.metadata;
+    placed++;
+  }
+  console.log(`Promoted ${joistMark(designation, span)} R${revision}: ${placed} joists re-placed`);
+  return placed;
+}
+
+// Removes the diff overlays and blue highlights of the last comparison
+function clearRevisionDisplay(diffElement) {
+  revisionOverlays.forEach(overlay => overlay.parent.remove(overlay));
+  revisionOverlays = [];
+  if (revisionOverlayTemplate) {
+    revisionOverlayTemplate.children.forEach(lines => {
+      lines.geometry.dispose();
+      lines.material.dispose();
+    });
+    revisionOverlayTemplate = null;
+  }
+  revisionHighlights.forEach((material, mesh) => {
+    mesh.material = material;
+  });
+  revisionHighlights.clear();
+  diffElement.textContent = '';
+}
@@ -0,0 +1,389 @@
+// JoistRevisions.js
+//
+// Design revisions of library joists. Every revision of a schedule mark stays
+// in the library, and a new revision is not used until it is promoted, so a
+// model only changes when the designer says so.
+//
+// Also the differences between two revisions: the parameters and metadata
+// that changed, and a geometric diff of the members worked out from the two
+// layouts (see JoistLayout.js), with an overlay to show it on a placed joist.
+//
+// The revision functions work on a library demo's joist library:
+//   {variants, currentRevisions, selectionCache, metadataSummary}
+// variants maps a variant ID (joistVariantId()) to its library entry
+// {geometryKey, mirrored, params, metadata}, currentRevisions a schedule mark
+// to the revision in use; selectionCache and metadataSummary are cleared when
+// a revision changes what they hold.
+import * as THREE from 'three';
+import { computeJoistCapacity, resolveLoadRequirements, selectLightestJoist } from './JoistCapacity.js';
+import { joistMark } from './JoistDesignation.js';
+import { resolveJoistParams } from './JoistParams.js';
+import { computeJoistLayout } from './JoistLayout.js';
+import { canonicalJoistGeometry } from './JoistVariants.js';
+
+const POINT_PRECISION = 1 / 64;  // Inches; members this close are in the same place
+
+// Metadata that says which revision a variant is rather than what it is
+const REVISION_FIELDS = ['revision', 'catalogue'];
+
+export const DIFF_COLORS = Object.freeze({
+  removed: 0xff3333,   // Members of the earlier revision only
+  added: 0x33ff66,     // Members of the later revision only
+  section: 0xffaa00,   // Members that stay but change section
+});
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const changedKeys = (before, after, skip = []) =>
+  [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(key => !skip.includes(key) && !sameValue(before[key], after[key]));
+
+/**
+ * Lists the joist parameters two revisions differ in, after resolving both.
+ *
+ * @param {Object} before - Joist parameters of the earlier revision
+ * @param {Object} after - Joist parameters of the later revision
+ * @returns {Array<Object>} {key, before, after} per changed parameter
+ */
+export function diffJoistParams(before, after) {
+  const resolvedBefore = resolveJoistParams(before);
+  const resolvedAfter = resolveJoistParams(after);
+  return changedKeys(resolvedBefore, resolvedAfter)
+    .map(key => ({ key, before: resolvedBefore[key], after: resolvedAfter[key] }));
+}
+
+/**
+ * Lists the metadata fields two revisions differ in, leaving out the
+ * revision number and catalogue source.
+ *
+ * @param {Object} before - Metadata of the earlier revision
+ * @param {Object} after - Metadata of the later revision
+ * @returns {Array<Object>} {field, before, after} per changed field
+ */
+export function diffJoistMetadata(before, after) {
+  return changedKeys(before, after, REVISION_FIELDS)
+    .map(field => ({ field, before: before[field], after: after[field] }));
+}
+
+// Key of a member by its end points, to match members between layouts
+const pointKey = ({ x, y }) => `${Math.round(x / POINT_PRECISION)},${Math.round(y / POINT_PRECISION)}`;
+const memberKey = ({ trimmedStart, trimmedEnd }) => `${pointKey(trimmedStart)}:${pointKey(trimmedEnd)}`;
+
+const sameSection = (a, b, keys) => keys.every(key => sameValue(a[key], b[key]));
+
+const CHORD_SECTION_KEYS = ['angleLeg1', 'angleLeg2', 'angleThickness', 'angleGap'];
+const WEB_SECTION_KEYS = ['webSection', 'webDiameter', 'webAngleLeg', 'webAngleThickness'];
+
+/**
+ * Works out which members of a joist move, appear, disappear or change
+ * section between two revisions. Points are in the joist's own plane (x along
+ * the span from mid-span, y up), in inches.
+ *
+ * @param {Object} before - Joist parameters of the earlier revision
+ * @param {Object} after - Joist parameters of the later revision
+ * @returns {Object} {webMembers: {removed, added, resectioned}, topChord and
+ *   bottomChord ({before, after} point lists, or null when unchanged),
+ *   chordSection ({topChord, bottomChord} points of chords changing section,
+ *   or null), bearingSeats (whether they change), unchanged}; web members
+ *   are {start, end} segments
+ */
+export function diffJoistGeometry(before, after) {
+  const resolvedBefore = resolveJoistParams(before);
+  const resolvedAfter = resolveJoistParams(after);
+  const layoutBefore = computeJoistLayout(resolvedBefore);
+  const layoutAfter = computeJoistLayout(resolvedAfter);
+
+  const segment = ({ trimmedStart, trimmedEnd }) => ({ start: trimmedStart, end: trimmedEnd });
+  const keysAfter = new Set(layoutAfter.webMembers.map(memberKey));
+  const keysBefore = new Set(layoutBefore.webMembers.map(memberKey));
+  const removed = layoutBefore.webMembers.filter(member => !keysAfter.has(memberKey(member))).map(segment);
+  const added = layoutAfter.webMembers.filter(member => !keysBefore.has(memberKey(member))).map(segment);
+  const resectioned = sameSection(resolvedBefore, resolvedAfter, WEB_SECTION_KEYS)
+    ? []
+    : layoutAfter.webMembers.filter(member => keysBefore.has(memberKey(member))).map(segment);
+
+  const chordChange = (pointsBefore, pointsAfter) =>
+    (pointsBefore.map(pointKey).join(' ') === pointsAfter.map(pointKey).join(' ')
+      ? null
+      : { before: pointsBefore, after: pointsAfter });
+  const topChord = chordChange(layoutBefore.topChordPoints, layoutAfter.topChordPoints);
+  const bottomChord = chordChange(layoutBefore.bottomChordPoints, layoutAfter.bottomChordPoints);
+  const chordSection = sameSection(resolvedBefore, resolvedAfter, CHORD_SECTION_KEYS)
+    ? null
+    : { topChord: layoutAfter.topChordPoints, bottomChord: layoutAfter.bottomChordPoints };
+  const bearingSeats = !sameValue(layoutBefore.bearingSeats, layoutAfter.bearingSeats);
+
+  return {
+    webMembers: { removed, added, resectioned },
+    topChord,
+    bottomChord,
+    chordSection,
+    bearingSeats,
+    unchanged: removed.length === 0 && added.length === 0 && resectioned.length === 0
+      && !topChord && !bottomChord && !chordSection && !bearingSeats,
+  };
+}
+
+/**
+ * Draws a geometric diff as coloured lines (DIFF_COLORS), in the library's
+ * building orientation (see createLibraryJoistShape() in JoistVariants.js),
+ * so it can be added to a placed library joist mesh.
+ *
+ * @param {Object} diff - From diffJoistGeometry()
+ * @returns {THREE.Group} Overlay; the caller disposes of its geometries and materials
+ */
+export function createJoistDiffOverlay(diff) {
+  const removed = [];
+  const added = [];
+  const section = [];
+  const pushSegment = (target, start, end) => target.push(start.x, start.y, 0, end.x, end.y, 0);
+  const pushPolyline = (target, points) =>
+    points.slice(1).forEach((point, i) => pushSegment(target, points[i], point));
+
+  diff.webMembers.removed.forEach(({ start, end }) => pushSegment(removed, start, end));
+  diff.webMembers.added.forEach(({ start, end }) => pushSegment(added, start, end));
+  diff.webMembers.resectioned.forEach(({ start, end }) => pushSegment(section, start, end));
+  [diff.topChord, diff.bottomChord].filter(Boolean).forEach(chord => {
+    pushPolyline(removed, chord.before);
+    pushPolyline(added, chord.after);
+  });
+  if (diff.chordSection) {
+    pushPolyline(section, diff.chordSection.topChord);
+    pushPolyline(section, diff.chordSection.bottomChord);
+  }
+
+  const overlay = new THREE.Group();
+  [[removed, DIFF_COLORS.removed], [added, DIFF_COLORS.added], [section, DIFF_COLORS.section]]
+    .filter(([positions]) => positions.length > 0)
+    .forEach(([positions, color]) => {
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+      // Drawn over the joist so the lines show through its members
+      const material = new THREE.LineBasicMaterial({ color, depthTest: false });
+      const lines = new THREE.LineSegments(geometry, material);
+      lines.renderOrder = 1;
+      overlay.add(lines);
+    });
+  overlay.rotation.y = Math.PI / 2;
+  return overlay;
+}
+
+// === LIBRARY REVISIONS ===
+
+// Fixed by the schedule mark, so the same in all of its revisions
+const MARK_PARAMS = ['topChordLength', 'joistDepth'];
+const MARK_FIELDS = ['designation', 'series', 'length', 'depth', 'revision'];
+const CHORD_PARAMS = ['angleLeg1', 'angleLeg2', 'angleThickness'];
+
+const markOf = (metadata) => joistMark(metadata.designation, metadata.length);
+
+/**
+ * @param {string} mark - Schedule mark (joistMark()), e.g. 24K6 x 40'-0"
+ * @param {number} revision
+ * @returns {string} Library variant ID, e.g. 24K6 x 40'-0" R3
+ */
+export const joistVariantId = (mark, revision) => `${mark} R${revision}`;
+
+/**
+ * The revision of every mark that selection uses.
+ *
+ * @param {Object} library - Joist library (see above)
+ * @param {Map} [revisions] - Revision per mark, the library's current ones by default
+ * @returns {Array<Object>} {variantId, metadata} per mark
+ */
+export function currentJoistVariants(library, revisions = library.currentRevisions) {
+  return [...revisions].map(([mark, revision]) => {
+    const variantId = joistVariantId(mark, revision);
+    return { variantId, metadata: library.variants.get(variantId).metadata };
+  });
+}
+
+const libraryEntry = (library, variantId) => {
+  const entry = library.variants.get(variantId);
+  if (!entry) {
+    throw new Error(`Joist ${variantId} not found in library`);
+  }
+  return entry;
+};
+
+// Revision histories of the marks whose metadata matches, shortest span first
+function revisionHistory(library, matches) {
+  const history = new Map();  // mark -> revisions
+  library.variants.forEach(({ geometryKey, params, metadata }, variantId) => {
+    if (matches(metadata)) {
+      const mark = markOf(metadata);
+      if (!history.has(mark)) {
+        history.set(mark, []);
+      }
+      history.get(mark).push({ variantId, revision: metadata.revision, geometryKey, params, metadata });
+    }
+  });
+  return [...history]
+    .map(([mark, revisions]) => {
+      revisions.sort((a, b) => a.revision - b.revision);
+      return { mark, current: library.currentRevisions.get(mark), latest: revisions[revisions.length - 1].revision, revisions };
+    })
+    .sort((a, b) => a.revisions[0].metadata.length - b.revisions[0].metadata.length);
+}
+
+function markHistory(library, designation, span) {
+  const mark = joistMark(designation, span);
+  const [history] = revisionHistory(library, metadata => markOf(metadata) === mark);
+  if (!history) {
+    throw new Error(`Joist ${mark} not found in library`);
+  }
+  return history;
+}
+
+/**
+ * Lists the design revisions of a designation's library joists.
+ *
+ * @param {Object} library - Joist library (see above)
+ * @param {string} designation - SJI designation, e.g. "24K6"
+ * @param {number|string} [span] - Span in inches or a length string ("40'");
+ *   every stocked span by default
+ * @returns {Array<Object>} Per schedule mark, shortest first: {mark, current,
+ *   latest, revisions: [{variantId, revision, geometryKey, params, metadata}]},
+ *   oldest revision first
+ */
+export function getRevisionHistory(library, designation, span) {
+  if (span !== undefined) {
+    return [markHistory(library, designation, span)];
+  }
+  return revisionHistory(library, metadata => metadata.designation === designation);
+}
+
+/**
+ * Adds a design revision of a library joist: its latest revision with the
+ * given changes. When the parameters change its geometry, the capacity,
+ * weight and web pattern are worked out again (see JoistCapacity.js) unless
+ * the metadata changes give them. The new revision is not promoted.
+ *
+ * @param {Object} library - Joist library (see above)
+ * @param {string} designation - SJI designation, e.g. "24K6"
+ * @param {number|string} span - Span in inches or a length string ("40'")
+ * @param {Object} changes - {params, metadata}: joist parameters and metadata
+ *   fields to change; span, depth and designation belong to the mark
+ * @returns {string} Variant ID of the new revision
+ */
+export function addJoistRevision(library, designation, span, { params = {}, metadata = {} } = {}) {
+  const { mark, latest, revisions } = markHistory(library, designation, span);
+  const fixed = [...MARK_PARAMS.filter(key => key in params), ...MARK_FIELDS.filter(key => key in metadata)];
+  if (fixed.length > 0) {
+    throw new Error(`Revisions of ${mark} cannot change its ${fixed.join(', ')}`);
+  }
+
+  const previous = revisions[revisions.length - 1];
+  const revision = latest + 1;
+  const revisedParams = { ...previous.params, ...params };
+  const { geometryKey, mirrored } = canonicalJoistGeometry(revisedParams);
+  const revisedMetadata = { ...previous.metadata };
+  delete revisedMetadata.catalogue;  // No longer the catalogue's joist
+  if (geometryKey !== previous.geometryKey) {
+    const capacity = computeJoistCapacity(revisedParams);
+    Object.assign(revisedMetadata, { capacity, weight: capacity.weight, pattern: revisedParams.webPattern });
+    if (revisedMetadata.topChord && CHORD_PARAMS.some(key => key in params)) {
+      const chord = { leg1: revisedParams.angleLeg1, leg2: revisedParams.angleLeg2, thickness: revisedParams.angleThickness };
+      Object.assign(revisedMetadata, { topChord: chord, bottomChord: chord });
+    }
+  }
+  Object.assign(revisedMetadata, metadata, { revision });
+
+  const variantId = joistVariantId(mark, revision);
+  library.variants.set(variantId, { geometryKey, mirrored, params: revisedParams, metadata: revisedMetadata });
+  library.metadataSummary = null;
+  return variantId;
+}
+
+/**
+ * Compares two revisions of a library joist.
+ *
+ * @param {Object} library - Joist library (see above)
+ * @param {string} designation - SJI designation, e.g. "24K6"
+ * @param {number|string} span - Span in inches or a length string ("40'")
+ * @param {number} [from] - Earlier revision, the current one by default
+ * @param {number} [to] - Later revision, the latest by default
+ * @returns {Object} {from, to} variant IDs, the params and metadata that
+ *   change (see diffJoistParams() and diffJoistMetadata()) and the geometry
+ *   diff (see diffJoistGeometry()), for createJoistDiffOverlay()
+ */
+export function diffJoistRevisions(library, designation, span, from, to) {
+  const { mark, current, latest } = markHistory(library, designation, span);
+  const fromId = joistVariantId(mark, from ?? current);
+  const toId = joistVariantId(mark, to ?? latest);
+  const before = libraryEntry(library, fromId);
+  const after = libraryEntry(library, toId);
+  return {
+    from: fromId,
+    to: toId,
+    params: diffJoistParams(before.params, after.params),
+    metadata: diffJoistMetadata(before.metadata, after.metadata),
+    geometry: diffJoistGeometry(before.params, after.params),
+  };
+}
+
+/**
+ * Works out which placed joists promoting a revision would change. Joists
+ * placed for their loads are selected again with the revision promoted, so
+ * they can move to or from its mark; the rest change if they are of its mark.
+ *
+ * @param {Object} library - Joist library (see above)
+ * @param {Iterable<Object>} placements - Placed joists: {variantId} plus the
+ *   requirements they were selected for, if any (see selectLightestJoist())
+ * @param {string} designation - SJI designation, e.g. "24K6"
+ * @param {number|string} span - Span in inches or a length string ("40'")
+ * @param {number} [revision] - Revision to promote, the latest by default
+ * @returns {Array<Object>} {placement, from, to} per joist that would change:
+ *   its variant IDs now and after promotion, to null when no joist would
+ *   carry its loads
+ */
+export function getPromotionImpact(library, placements, designation, span, revision) {
+  const { mark, latest } = markHistory(library, designation, span);
+  const promoted = joistVariantId(mark, revision ?? latest);
+  libraryEntry(library, promoted);
+  const candidates = currentJoistVariants(library, new Map(library.currentRevisions).set(mark, revision ?? latest));
+
+  const selections = new Map();  // As the selection cache, with the revision promoted
+  const impact = [];
+  for (const placement of placements) {
+    let to = placement.variantId;
+    if (placement.requirements) {
+      const resolved = resolveLoadRequirements(placement.requirements);
+      const cacheKey = JSON.stringify(resolved);
+      if (!selections.has(cacheKey)) {
+        try {
+          selections.set(cacheKey, selectLightestJoist(candidates, resolved));
+        } catch {
+          selections.set(cacheKey, null);  // Nothing carries the loads any more
+        }
+      }
+      to = selections.get(cacheKey);
+    } else if (markOf(libraryEntry(library, placement.variantId).metadata) === mark) {
+      to = promoted;
+    }
+    if (to !== placement.variantId) {
+      impact.push({ placement, from: placement.variantId, to });
+    }
+  }
+  return impact;
+}
+
+/**
+ * Makes a revision the one selection and schedule lookups use for its mark.
+ * Placed joists keep their variant: getPromotionImpact() beforehand lists
+ * those to place again.
+ *
+ * @param {Object} library - Joist library (see above)
+ * @param {string} designation - SJI designation, e.g. "24K6"
+ * @param {number|string} span - Span in inches or a length string ("40'")
+ * @param {number} [revision] - Revision to promote, the latest by default
+ * @returns {string} Variant ID of the promoted revision
+ */
+export function promoteJoistRevision(library, designation, span, revision) {
+  const { mark, latest } = markHistory(library, designation, span);
+  const variantId = joistVariantId(mark, revision ?? latest);
+  libraryEntry(library, variantId);
+  library.currentRevisions.set(mark, revision ?? latest);
+  library.selectionCache.clear();
+  return variantId;
+}
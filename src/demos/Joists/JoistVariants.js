@@ -0,0 +1,372 @@
+// JoistVariants.js
+//
+// Joist library variants built from their parameters. Variants whose resolved
+// joist parameters are equal have identical geometry, and a joist and its
+// mirror image share one, so the libraries key their geometry by
+// canonicalJoistGeometry() and build each distinct joist once. Joists whose
+// tessellations still turn out identical are caught by joistBufferHash().
+// Tessellated joists are kept in the browser's geometry store between page
+// loads, keyed by joistTessellationKey().
+import * as THREE from 'three';
+import { CreateJoist } from './Joist.js';
+import { computeFabricationLayout } from './JoistFabrication.js';
+import { computeJoistLayout } from './JoistLayout.js';
+import { resolveJoistParams } from './JoistParams.js';
+import { loadStoredGeometry, storeGeometry } from '../../common/geometryStore.js';
+
+// BRepMesh_IncrementalMesh deflections used for every library joist
+export const TESSELLATION_SETTINGS = Object.freeze({
+  linearDeflection: 0.1,
+  angularDeflection: 0.5,
+});
+
+// Precision, in inches, of the positions compared by joistBufferHash() and
+// of the layouts compared by mirrorJoistParams()
+export const GEOMETRY_HASH_PRECISION = 1 / 1000;
+
+// Parameters with a left and a right side, swapped in a joist's mirror image
+const SIDED_PARAMS = ['topChordExtensions', 'bottomChordExtensions'];
+
+// Bump when the tessellated output changes for the same parameters and
+// settings (e.g. a fix in CreateJoist), so stored geometry is rebuilt
+const TESSELLATION_VERSION = 1;
+
+// JSON with object keys sorted, so equal values always give equal strings
+const canonicalJSON = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Key identifying a joist's geometry: equal for parameter sets that resolve
+ * to the same joist, however they were written (units, defaults, key order).
+ *
+ * @param {Object} params - Partial joist parameters (as for CreateJoist)
+ * @returns {string} Geometry key
+ */
+export function joistGeometryKey(params) {
+  return canonicalJSON(resolveJoistParams(params));
+}
+
+const isPoint = (value) =>
+  value !== null && typeof value === 'object' && typeof value.x === 'number' && typeof value.y === 'number';
+
+// Every point and segment of a joist's layout and fabrication items (see
+// JoistLayout.js and JoistFabrication.js) as sorted keys, x negated for the
+// mirror image; equal for two joists whose members are in the same places
+const layoutFingerprint = (params, mirror) => {
+  const resolved = resolveJoistParams(params);
+  const layout = computeJoistLayout(resolved);
+  const fabrication = computeFabricationLayout(resolved, layout);
+  const side = mirror ? -1 : 1;
+  const pointKey = ({ x, y }) =>
+    `${Math.round(side * x / GEOMETRY_HASH_PRECISION) || 0},${Math.round(y / GEOMETRY_HASH_PRECISION)}`;
+
+  const keys = [];
+  const visit = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(visit);
+    } else if (value !== null && typeof value === 'object') {
+      if (isPoint(value)) {
+        keys.push(pointKey(value));
+      }
+      if (isPoint(value.start) && isPoint(value.end)) {
+        keys.push([pointKey(value.start), pointKey(value.end)].sort().join(':'));
+      }
+      Object.values(value).forEach(visit);
+    }
+  };
+  visit([layout, fabrication]);
+  return keys.sort().join(' ');
+};
+
+/**
+ * Parameters of a joist's mirror image, turned end for end: the chord
+ * extensions swap sides. The rest of the joist has to be symmetric already
+ * (web pattern, slope, fillers), which is checked on its layout.
+ *
+ * @param {Object} params - Partial joist parameters (as for CreateJoist)
+ * @returns {Object|null} Mirror image parameters, or null when no parameters
+ *   describe it
+ */
+export function mirrorJoistParams(params) {
+  const mirror = { ...params };
+  SIDED_PARAMS.filter(key => params[key]).forEach(key => {
+    mirror[key] = { left: params[key].right, right: params[key].left };
+  });
+  return layoutFingerprint(mirror, false) === layoutFingerprint(params, true) ? mirror : null;
+}
+
+/**
+ * The joist a variant's geometry is built as: the variant's own joist or,
+ * when its key sorts first, the mirror image, so that a joist and its mirror
+ * image share one geometry. A mirrored variant is placed with the built
+ * joist's span axis (Z) flipped; joists are centred on mid-span, so no offset
+ * is needed.
+ *
+ * @param {Object} params - Partial joist parameters (as for CreateJoist)
+ * @returns {Object} {geometryKey, params, mirrored}: key and parameters of the
+ *   joist to build, and whether the variant is its mirror image
+ */
+export function canonicalJoistGeometry(params) {
+  const geometryKey = joistGeometryKey(params);
+  if (SIDED_PARAMS.some(key => params[key])) {
+    const mirror = mirrorJoistParams(params);
+    const mirrorKey = mirror && joistGeometryKey(mirror);
+    if (mirror && mirrorKey < geometryKey) {
+      return { geometryKey: mirrorKey, params: mirror, mirrored: true };
+    }
+  }
+  return { geometryKey, params, mirrored: false };
+}
+
+// MurmurHash3's 32-bit finalizer
+const fmix32 = (hash) => {
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+};
+
+/**
+ * Hash of a tessellated joist's triangles, with positions quantized to
+ * GEOMETRY_HASH_PRECISION and independent of vertex and triangle order, so
+ * joists built from different parameters that tessellate identically (e.g.
+ * differing only in a web size their web section does not use) can share
+ * one geometry. Normals follow from the triangles and are left out.
+ *
+ * @param {THREE.BufferGeometry} geometry - Tessellated joist
+ * @returns {string} Triangle count and 64-bit hash, e.g. "5120:1f0e..."
+ */
+export function joistBufferHash(geometry) {
+  const positions = geometry.getAttribute('position').array;
+  const index = geometry.index ? geometry.index.array : null;
+  const triangleCount = (index ? index.length : positions.length / 3) / 3;
+
+  // Per vertex: a 32-bit hash of its quantized coordinates, per lane
+  const vertexCount = positions.length / 3;
+  const lanes = [0x811c9dc5, 0x050c5d1f].map(seed => {
+    const hashes = new Uint32Array(vertexCount);
+    for (let vertex = 0; vertex < vertexCount; vertex++) {
+      let hash = seed;
+      for (let axis = 0; axis < 3; axis++) {
+        hash = fmix32(hash ^ Math.round(positions[3 * vertex + axis] / GEOMETRY_HASH_PRECISION));
+      }
+      hashes[vertex] = hash;
+    }
+    return { seed, hashes };
+  });
+
+  // Triangles hashed from their sorted vertex hashes and summed, so neither
+  // triangle order nor a triangle's starting vertex matters
+  const sums = lanes.map(({ seed, hashes }) => {
+    let sum = 0;
+    for (let t = 0; t < triangleCount; t++) {
+      const a = hashes[index ? index[3 * t] : 3 * t];
+      const b = hashes[index ? index[3 * t + 1] : 3 * t + 1];
+      const c = hashes[index ? index[3 * t + 2] : 3 * t + 2];
+      const low = Math.min(a, b, c);
+      const high = Math.max(a, b, c);
+      const middle = a + b + c - low - high;  // Exact: all below 2^32
+      sum = (sum + fmix32(fmix32(fmix32(seed ^ low) ^ middle) ^ high)) >>> 0;
+    }
+    return sum;
+  });
+  return `${triangleCount}:${sums.map(sum => sum.toString(16).padStart(8, '0')).join('')}`;
+}
+
+// 32-bit FNV-1a over the string's UTF-16 code units
+const fnv1a = (text, seed) => {
+  let hash = seed;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Stable key for a joist's tessellated geometry across page loads: a hash of
+ * its geometry key, the tessellation settings and TESSELLATION_VERSION.
+ *
+ * @param {Object} params - Partial joist parameters (as for CreateJoist)
+ * @returns {string} 16 hex digits
+ */
+export function joistTessellationKey(params) {
+  const text = canonicalJSON({
+    joist: JSON.parse(joistGeometryKey(params)),
+    tessellation: TESSELLATION_SETTINGS,
+    version: TESSELLATION_VERSION,
+  });
+  return [0x811c9dc5, 0x050c5d1f]
+    .map(seed => fnv1a(text, seed).toString(16).padStart(8, '0'))
+    .join('');
+}
+
+/**
+ * Creates a library joist in building orientation: rotated 90 degrees about
+ * Y, so the span runs along Z, as the library demos place their joists.
+ *
+ * @param {Object} oc - OpenCascade.js instance
+ * @param {Object} params - Partial joist parameters (as for CreateJoist)
+ * @returns {Promise<Object>} The rotated joist shape; the caller deletes it
+ */
+export async function createLibraryJoistShape(oc, params) {
+  const joist = await CreateJoist(oc, params);
+
+  const transform = new oc.gp_Trsf_1();
+  const origin = new oc.gp_Pnt_3(0, 0, 0);
+  const up = new oc.gp_Dir_4(0, 1, 0);
+  const yAxis = new oc.gp_Ax1_2(origin, up);
+  transform.SetRotation_1(yAxis, Math.PI / 2);
+  const transformer = new oc.BRepBuilderAPI_Transform_2(joist, transform, false);
+  const rotated = transformer.Shape();
+
+  joist.delete();
+  origin.delete();
+  up.delete();
+  yAxis.delete();
+  transform.delete();
+  transformer.delete();
+
+  return rotated;
+}
+
+/**
+ * Tessellates a shape into a single indexed Three.js BufferGeometry with
+ * vertex normals.
+ *
+ * @param {Object} oc - OpenCascade.js instance
+ * @param {Object} shape - OpenCascade shape to tessellate
+ * @returns {THREE.BufferGeometry} Three.js geometry
+ */
+export function tessellateJoistShape(oc, shape) {
+  // === MESH GENERATION ===
+  // Apply high-quality mesh generation with balanced quality/performance settings
+  const { linearDeflection, angularDeflection } = TESSELLATION_SETTINGS;
+  new oc.BRepMesh_IncrementalMesh_2(shape, linearDeflection, false, angularDeflection, false);
+
+  const allVertices = [];   // Consolidated vertex array
+  const allTriangles = [];  // Consolidated triangle index array
+  let vertexOffset = 0;     // Running offset for vertex indices
+
+  // === FACE-BY-FACE PROCESSING ===
+  // Process each face of the shape to extract triangulation data
+  const explorer = new oc.TopExp_Explorer_2(
+    shape,
+    oc.TopAbs_ShapeEnum.TopAbs_FACE,
+    oc.TopAbs_ShapeEnum.TopAbs_SHAPE
+  );
+
+  while (explorer.More()) {
+    const face = oc.TopoDS.Face_1(explorer.Current());
+    const location = new oc.TopLoc_Location_1();
+    const triangulation = oc.BRep_Tool.Triangulation(face, location, 0);
+
+    if (!triangulation.IsNull()) {
+      const tri = triangulation.get();
+      const trans = location.Transformation();
+
+      const nodeCount = tri.NbNodes();
+      const triangleCount = tri.NbTriangles();
+
+      if (nodeCount > 0 && triangleCount > 0) {
+        // === VERTEX EXTRACTION ===
+        // Extract vertices with proper coordinate transformation
+        for (let i = 1; i <= nodeCount; i++) {
+          const node = tri.Node(i);
+          node.Transform(trans);
+          allVertices.push(node.X(), node.Y(), node.Z());
+        }
+
+        // === TRIANGLE EXTRACTION ===
+        // Extract triangle connectivity with proper indexing
+        for (let i = 1; i <= triangleCount; i++) {
+          const triangle = tri.Triangle(i);
+          const n1 = triangle.Value(1);
+          const n2 = triangle.Value(2);
+          const n3 = triangle.Value(3);
+
+          // Adjust indices for the consolidated vertex array
+          allTriangles.push(
+            n1 - 1 + vertexOffset,
+            n2 - 1 + vertexOffset,
+            n3 - 1 + vertexOffset
+          );
+        }
+
+        vertexOffset += nodeCount;
+      }
+
+      triangulation.delete();
+    }
+
+    location.delete();
+    face.delete();
+    explorer.Next();
+  }
+  explorer.delete();
+
+  // === BUFFER GEOMETRY ASSEMBLY ===
+  // Create optimized Three.js BufferGeometry
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute(
+    "position",
+    new THREE.Float32BufferAttribute(allVertices, 3)
+  );
+
+  if (allTriangles.length > 0) {
+    geometry.setIndex(allTriangles);
+  }
+
+  // Compute vertex normals for proper lighting
+  geometry.computeVertexNormals();
+
+  return geometry;
+}
+
+/**
+ * Builds and tessellates a library joist (see createLibraryJoistShape()).
+ *
+ * @param {Object} oc - OpenCascade.js instance
+ * @param {Object} params - Partial joist parameters (as for CreateJoist)
+ * @returns {Promise<THREE.BufferGeometry>} Three.js geometry
+ */
+export async function buildJoistGeometry(oc, params) {
+  const shape = await createLibraryJoistShape(oc, params);
+  const geometry = tessellateJoistShape(oc, shape);
+  shape.delete();
+  return geometry;
+}
+
+/**
+ * Loads a library joist's geometry from the geometry store, building and
+ * storing it on a miss. OpenCascade is only requested on a miss, so a page
+ * whose joists are all stored never loads it.
+ *
+ * Geometry read from the store has `userData.fromStore` set.
+ *
+ * @param {Function} getOpenCascade - Resolves to the OpenCascade.js instance
+ * @param {Object} params - Partial joist parameters (as for CreateJoist)
+ * @returns {Promise<THREE.BufferGeometry>} Three.js geometry
+ */
+export async function loadJoistGeometry(getOpenCascade, params) {
+  const key = joistTessellationKey(params);
+  const stored = await loadStoredGeometry(key);
+  if (stored) {
+    stored.userData.fromStore = true;
+    return stored;
+  }
+
+  const geometry = await buildJoistGeometry(await getOpenCascade(), params);
+  await storeGeometry(key, geometry);
+  return geometry;
+}
@@ -1,6 +1,9 @@
 import initOpenCascade from "opencascade.js";
+import { Color } from "three";
 import { CreateJoist } from './Joist.js';
+import { CreateOpeningEnvelopes } from './DuctOpenings.js';
 import { setupThreeJSViewport, addShapeToScene } from '../../common/scene.js';
+import { formatLength, setDisplayUnitFromURL } from '../../common/units.js';
 
 // This is the main function for our demo
 async function main() {
@@ -8,6 +11,9 @@ async function main() {
   const scene = setupThreeJSViewport();
   if (!scene) { return; }
 
+  // Lengths are logged in the display unit, e.g. ?units=mm
+  setDisplayUnitFromURL();
+
   // Initialize OpenCascade
   const oc = await initOpenCascade();
 
@@ -19,6 +25,16 @@ async function main() {
   // Add the final shape to the scene
   await addShapeToScene(oc, joistShape, scene);
   console.log("Joist added to scene!");
+
+  // Show the clear web openings available to ducts
+  const { shape: openingShape, openings } = await CreateOpeningEnvelopes(oc);
+  await addShapeToScene(oc, openingShape, scene, {
+    name: "openings",
+    color: new Color(0.2, 0.5, 0.9),
+    opacity: 0.3,
+  });
+  const largestDuct = Math.min(...openings.map(({ largestCircle }) => largestCircle.diameter));
+  console.log(`${openings.length} web openings; every panel passes a ${formatLength(largestDuct)} round duct`);
 }
 
 main();
\ No newline at end of file
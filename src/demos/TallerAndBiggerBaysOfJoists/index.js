@@ -1,7 +1,9 @@
 import initOpenCascade from "opencascade.js";
 import * as THREE from "three";
 import { CreateJoistTemplate } from "./TallerAndBiggerBaysOfJoists.js";
+import { createBayBridging, createBayGirders } from "../Joists/BayFraming.js";
 import { setupThreeJSViewport } from "../../common/scene.js";
+import { formatLength, setDisplayUnitFromURL, toInternal } from "../../common/units.js";
 
 function tessellateShape(oc, shape) {
   // Apply mesh generation with appropriate parameters
@@ -109,6 +111,9 @@ async function main() {
     return;
   }
 
+  // Lengths are logged in the display unit, e.g. ?units=m (feet and inches by default)
+  setDisplayUnitFromURL();
+
   try {
     progressText.innerText = "Initializing OpenCascade...";
     const oc = await initOpenCascade();
@@ -128,17 +133,21 @@ async function main() {
     const joistsPerBay = 100;
     const numberOfBays = 10;
     const numberOfFloors = 5;
-    const joistSpacing = 8 * 12;    // 8 feet in inches
-    const bayWidth = 48 * 12;       // 48 feet in inches
-    const storyHeight = 32 * 12;    // 32 feet in inches
+    const units = "ft";             // Unit of the lengths below (see common/units.js)
+    const joistSpacing = toInternal(8, units);
+    const bayWidth = toInternal(48, units);
+    const girderPanels = 9;         // Joist spaces per girder (99 = 9 x 11)
+    const girderDepth = toInternal(5, units);
+    const storyHeight = toInternal(32, units);
     const totalJoists = numberOfFloors * numberOfBays * joistsPerBay;
 
     const totalLength = (joistsPerBay - 1) * joistSpacing;
     const totalWidth = numberOfBays * bayWidth;
     const totalHeight = (numberOfFloors - 1) * storyHeight;
+    const floorYs = Array.from({ length: numberOfFloors }, (_, i) => i * storyHeight);
 
     console.log(`Creating ${numberOfFloors} floors with ${numberOfBays} bays and ${joistsPerBay} joists each...`);
-    console.log(`Total dimensions: ${totalLength/12}' x ${totalWidth/12}' x ${totalHeight/12}'`);
+    console.log(`Total dimensions: ${formatLength(totalLength)} x ${formatLength(totalWidth)} x ${formatLength(totalHeight)}`);
     console.log(`Total joists to create: ${totalJoists}`);
 
     const instancedMesh = new THREE.InstancedMesh(
@@ -179,6 +188,15 @@ async function main() {
 
     instancedMesh.instanceMatrix.needsUpdate = true;
 
+    // === BRIDGING ===
+    progressText.innerText = "Creating bridging...";
+    const bays = { joistsPerBay, joistSpacing, numberOfBays, bayWidth, floorYs };
+    scene.add(await createBayBridging(oc, bays));
+
+    // === JOIST GIRDERS ===
+    progressText.innerText = "Creating joist girders...";
+    scene.add(await createBayGirders(oc, bays, { panels: girderPanels, depth: girderDepth }));
+
     console.log(`Instanced mesh created with ${totalJoists} joists across ${numberOfFloors} floors!`);
     progressText.innerText = "Complete!";
     
@@ -7,7 +7,7 @@
  * in enterprise-level CAD/engineering software.
  * 
  * The Big Kahuna Specifications:
- * - 10,000 pre-tessellated joist variants (massive library)
+ * - 10,000 joist variants (massive library), tessellated on demand
  * - 10,000 joist instances across 10 floors
  * - Expanded parameter ranges for realistic engineering variety
  * - Multiple steel grades, coatings, and design revisions
@@ -18,26 +18,76 @@
  * structural component library where:
  * 1. Library build time is acceptable (done offline/startup)
  * 2. Runtime instantiation must be lightning-fast
- * 3. Memory usage is optimized through shared geometry
- * 4. Realistic engineering parameters drive selection
+ * 3. Memory usage is optimized through shared geometry: one BufferGeometry
+ *    per distinct tessellation, mirror images included
+ * 4. Span and loads drive selection: the lightest joist that carries them,
+ *    as a designer picks from SJI load tables (see selectJoistVariant())
  * 
  * Real-World Context:
  * In actual structural engineering software, libraries like this would contain
  * thousands of steel sections, connection details, and assemblies, each with
  * complex geometric and material properties. The key insight is that the
  * expensive tessellation work can be done once, then reused millions of times.
+ * Each distinct joist is tessellated the first time a layout asks for it.
  */
 
-import * as THREE from "three";
-import { CreateJoist } from "../Joists/Joist.js";
+import { listJoistDesignations } from "../Joists/JoistDesignation.js";
+import * as JoistLibrary from "../Joists/JoistLibrary.js";
+import { describeRange, describeValues } from "../Joists/JoistLibraryStats.js";
+import * as JoistRevisions from "../Joists/JoistRevisions.js";
 
 // === ENTERPRISE-SCALE LIBRARY STORAGE ===
-// Simulates a comprehensive structural engineering component library
-// In production, this would be backed by a database or binary file format
-const JOIST_LIBRARY = new Map();
+// Simulates a comprehensive structural engineering component library, keyed
+// by schedule mark (SJI designation and span) and revision, e.g. 48LH13 x 60'-0" R4
+// (see JoistLibrary.js). In production the catalogue would be backed by a
+// database or binary file format
+const LIBRARY = JoistLibrary.createJoistLibrary({ messagePrefix: "🌺 BIG KAHUNA: " });
+
+// 20 SJI designations spread evenly over the standard K, KCS, LH and DLH
+// sections from 20" to 58" deep, each stocked at spans from 25' to 121' in
+// 4' steps and in 20 design revisions
+const STANDARD_DESIGNATIONS = listJoistDesignations({ minDepth: 20, maxDepth: 58 });
+const LIBRARY_SIZE = 10000;
+
+// === MATERIAL AND COATING SPECIFICATIONS ===
+// Simulate real-world material variety
+const STEEL_GRADES = ["A36", "A572-50", "A992", "A588", "A514"];
+const COATING_TYPES = ["Galvanized", "Painted", "Bare", "Fire-Retardant", "Weather-Resistant"];
+const CONNECTION_TYPES = ["Welded", "Bolted", "Hybrid", "Pinned"];
+
+const LIBRARY_VARIANTS = {
+  designations: Array.from({ length: 20 }, (_, k) =>
+    STANDARD_DESIGNATIONS[Math.floor(k * STANDARD_DESIGNATIONS.length / 20)]),
+  spansFt: Array.from({ length: 25 }, (_, k) => 25 + 4 * k),
+  webPatterns: ["warren", "modifiedWarren", "pratt"],
+  size: LIBRARY_SIZE,
+  // Comprehensive engineering data of variant i beyond its joist's own
+  metadata: (i, { lengthFt }) => ({
+    // Engineering specifications
+    specification: Math.floor(i / 100),                 // Application category (100 specs)
+    loadRating: 30 + (i % 60) * 3,                      // Design load capacity (30-207 kips)
+
+    // Material properties
+    steelGrade: STEEL_GRADES[i % STEEL_GRADES.length],               // Steel specification
+    coating: COATING_TYPES[i % COATING_TYPES.length],                // Corrosion protection
+    connectionType: CONNECTION_TYPES[i % CONNECTION_TYPES.length],   // End connection method
+
+    // Performance characteristics
+    deflectionLimit: lengthFt * 12 / 360,               // L/360 deflection limit
+
+    // Economic factors
+    costCategory: Math.floor(i / 1000) + 1,             // Cost tier (1-10)
+    availability: i % 7 < 5 ? "Standard" : "Special Order", // Stock status
+
+    // Quality and compliance
+    weldingRequirements: i % 3 === 0 ? "AWS D1.1" : "Standard",
+    fireRating: i % 4 === 0 ? "2-Hour" : i % 4 === 1 ? "1-Hour" : "None",
+    seismicRating: i % 5 === 0 ? "High" : "Standard"
+  })
+};
 
 /**
- * Initializes the Big Kahuna joist library with 10,000 pre-tessellated variants
+ * Initializes the Big Kahuna joist library catalogue of 10,000 variants
  * 
  * This function simulates the comprehensive library build process that would
  * happen during enterprise software installation or first-time startup.
@@ -46,346 +96,244 @@ const JOIST_LIBRARY = new Map();
  * 
  * Library Scope:
  * - 10,000 unique joist specifications
- * - Expanded length range: 25-124 feet
- * - Expanded depth range: 20-58 inches  
- * - 150 different web patterns
+ * - Expanded length range: 25-121 feet
+ * - Expanded depth range: 20-58 inches (20 SJI designations)
+ * - 3 web patterns (warren, modified warren, pratt)
  * - 20 design revisions
  * - 100 different specifications
  * - Multiple steel grades and coatings
  * 
- * @param {Object} oc - OpenCascade.js instance
+ * Every variant carries the geometry of its own designation, span and web
+ * pattern. Nothing is tessellated here: a joist is built on the first request
+ * for any of its variants (or by prefetchJoistVariants()), and geometrically
+ * identical variants (the revisions of a mark) share it.
+ * 
+ * A catalogue (see JoistCatalogue.js) replaces the synthesized variants
+ * with the joists it lists, load table values and all.
+ * 
+ * @param {Object} oc - OpenCascade.js instance, or a function that
+ *   loads it; called only when a joist is missing from the geometry store
+ * @param {Array<Object>} [catalogue] - Records from parseJoistCatalogue(),
+ *   of one or more catalogues
  */
-export async function initializeJoistLibrary(oc) {
-  console.log("Initializing BIG KAHUNA joist library (simulating C++ pre-tessellation)...");
-  console.log("Building enterprise-scale library with 10,000 variants...");
-
-  // === BASE GEOMETRY CREATION ===
-  // Create the fundamental joist geometry that serves as the template
-  const baseJoist = await CreateJoist(oc);
-
-  // Apply standard orientation transformation
-  // Rotate 90 degrees around Y-axis to align with building coordinate system
-  const transform = new oc.gp_Trsf_1();
-  const yAxis = new oc.gp_Ax1_2(
-    new oc.gp_Pnt_3(0, 0, 0),
-    new oc.gp_Dir_4(0, 1, 0)
-  );
-  transform.SetRotation_1(yAxis, Math.PI / 2);
-  const transformer = new oc.BRepBuilderAPI_Transform_2(
-    baseJoist,
-    transform,
-    false
-  );
-  const rotatedJoist = transformer.Shape();
-
-  // === TESSELLATION (MAJOR COMPUTATIONAL INVESTMENT) ===
-  // Pre-tessellate the geometry into Three.js BufferGeometry
-  // This is the expensive operation that we invest in upfront
-  // to enable lightning-fast runtime instantiation
-  console.log("Pre-tessellating base geometry (one-time computational cost)...");
-  const tessellatedGeometry = tessellateShapeOptimized(oc, rotatedJoist);
-
-  // === ENTERPRISE LIBRARY POPULATION ===
-  // Generate 10,000 joist variants with comprehensive engineering parameters
-  // Each variant represents a distinct structural design that would exist
-  // in a real engineering library
-  console.log("Populating library with 10,000 engineering variants...");
-  
-  for (let i = 0; i < 10000; i++) {
-    // === STRUCTURAL PARAMETER GENERATION ===
-    // Generate realistic engineering parameters with expanded ranges
-    
-    // Length parameters (25-124 feet) - covers small residential to large commercial
-    const lengthFt = Math.floor(i / 100) + 25;
-    
-    // Depth parameters (20-58 inches) - expanded range for various load requirements  
-    const depthInches = 20 + (i % 20) * 2;
-    
-    // Web pattern variations (150 patterns) - different truss configurations
-    const patternId = i % 150;
-    
-    // Design revisions (20 revisions) - iterative engineering improvements
-    const revisionNumber = Math.floor(i / 500);
-    
-    // Specification categories (100 specs) - different structural applications
-    const specificationId = Math.floor(i / 100);
-    
-    // Load rating variations (30-207 kips) - wide range of structural capacities
-    const loadRating = 30 + (i % 60) * 3;
-    
-    // === MATERIAL AND COATING SPECIFICATIONS ===
-    // Simulate real-world material variety
-    const steelGrades = ['A36', 'A572-50', 'A992', 'A588', 'A514'];
-    const coatingTypes = ['Galvanized', 'Painted', 'Bare', 'Fire-Retardant', 'Weather-Resistant'];
-    const connectionTypes = ['Welded', 'Bolted', 'Hybrid', 'Pinned'];
-    
-    const steelGrade = steelGrades[i % steelGrades.length];
-    const coating = coatingTypes[i % coatingTypes.length];
-    const connectionType = connectionTypes[i % connectionTypes.length];
-    
-    // === VARIANT ID GENERATION ===
-    // Create comprehensive part number system (like real engineering catalogs)
-    const variantId = `JOIST_${lengthFt}FT_${depthInches}D_PAT${patternId}_REV${revisionNumber}_SPEC${specificationId}`;
-    
-    // === LIBRARY ENTRY STORAGE ===
-    // Store complete engineering data package
-    JOIST_LIBRARY.set(variantId, {
-      // Pre-computed Three.js geometry (the key performance advantage)
-      geometry: tessellatedGeometry,
-      
-      // Comprehensive structural metadata
-      metadata: {
-        // Basic dimensions
-        length: lengthFt * 12,              // Convert to inches for calculations
-        depth: depthInches,                 // Structural depth
-        
-        // Engineering specifications  
-        pattern: `WebPattern_${patternId}`, // Web configuration type
-        revision: revisionNumber,           // Design iteration
-        specification: specificationId,     // Application category
-        loadRating: loadRating,            // Design load capacity (kips)
-        
-        // Material properties
-        steelGrade: steelGrade,            // Steel specification
-        coating: coating,                  // Corrosion protection
-        connectionType: connectionType,    // End connection method
-        
-        // Performance characteristics
-        weight: lengthFt * depthInches * 0.15, // Estimated weight (lb/ft)
-        deflectionLimit: lengthFt * 12 / 360,   // L/360 deflection limit
-        
-        // Economic factors
-        costCategory: Math.floor(i / 1000) + 1, // Cost tier (1-10)
-        availability: i % 7 < 5 ? 'Standard' : 'Special Order', // Stock status
-        
-        // Quality and compliance
-        weldingRequirements: i % 3 === 0 ? 'AWS D1.1' : 'Standard',
-        fireRating: i % 4 === 0 ? '2-Hour' : i % 4 === 1 ? '1-Hour' : 'None',
-        seismicRating: i % 5 === 0 ? 'High' : 'Standard'
-      }
-    });
-    
-    // Progress reporting for library build
-    if (i % 1000 === 0) {
-      const progress = Math.round((i / 10000) * 100);
-      console.log(`Library build progress: ${progress}% (${i.toLocaleString()}/10,000 variants)`);
-    }
-  }
-
-  // === CLEANUP ===
-  // Clean up all OpenCascade objects to prevent memory leaks
-  baseJoist.delete();
-  transform.delete();
-  yAxis.delete();
-  transformer.delete();
-  rotatedJoist.delete();
-
-  console.log(`🌺 BIG KAHUNA library initialization complete!`);
-  console.log(`📚 Library contains ${JOIST_LIBRARY.size.toLocaleString()} variants`);
-  console.log(`💾 Estimated library memory footprint: ~${(JOIST_LIBRARY.size * 2).toFixed(1)}MB`);
+export async function initializeJoistLibrary(oc, catalogue) {
+  await JoistLibrary.initializeJoistLibrary(LIBRARY, oc, LIBRARY_VARIANTS, catalogue);
 }
 
+// === ON-DEMAND TESSELLATION (MAJOR COMPUTATIONAL INVESTMENT) ===
+// A joist is built and tessellated the first time any variant with its
+// geometry is requested and no earlier page load stored it; every later
+// request is served from the cache
+
 /**
- * Optimized tessellation for enterprise-scale library building
+ * Layout Prefetch
  * 
- * High-performance tessellation function optimized for the Big Kahuna's
- * demanding requirements. Uses modern Three.js BufferGeometry for optimal
- * memory usage and rendering performance.
+ * Tessellates the joists a layout will need before it is placed, so placing
+ * it is pure cache lookups. Loads each distinct geometry behind the given
+ * variants that is not cached yet, yielding to the browser between joists.
  * 
- * @param {Object} oc - OpenCascade.js instance
- * @param {Object} shape - OpenCascade shape to tessellate
- * @returns {THREE.BufferGeometry} Optimized Three.js geometry
+ * @param {Iterable<string>} variantIds - Variants the layout places (repeats are fine)
+ * @param {Function} [progressCallback] - Called with (loaded, total) after each joist
+ * @returns {Promise<Object>} {loaded, fromStore} - Joists loaded, and how many
+ *   of them came from the geometry store rather than OpenCascade
  */
-function tessellateShapeOptimized(oc, shape) {
-  // === MESH GENERATION ===
-  // Apply high-quality mesh generation with balanced quality/performance settings
-  new oc.BRepMesh_IncrementalMesh_2(shape, 0.1, false, 0.5, false);
-
-  const allVertices = [];   // Consolidated vertex array
-  const allTriangles = [];  // Consolidated triangle index array
-  let vertexOffset = 0;     // Running offset for vertex indices
-
-  // === FACE-BY-FACE PROCESSING ===
-  // Process each face of the shape to extract triangulation data
-  const explorer = new oc.TopExp_Explorer_2(
-    shape,
-    oc.TopAbs_ShapeEnum.TopAbs_FACE,
-    oc.TopAbs_ShapeEnum.TopAbs_SHAPE
-  );
-
-  while (explorer.More()) {
-    const face = oc.TopoDS.Face_1(explorer.Current());
-    const location = new oc.TopLoc_Location_1();
-    const triangulation = oc.BRep_Tool.Triangulation(face, location, 0);
+export const prefetchJoistVariants = (variantIds, progressCallback) =>
+  JoistLibrary.prefetchJoistVariants(LIBRARY, variantIds, progressCallback);
 
-    if (!triangulation.IsNull()) {
-      const tri = triangulation.get();
-      const trans = location.Transformation();
-
-      const nodeCount = tri.NbNodes();
-      const triangleCount = tri.NbTriangles();
+/**
+ * Enterprise-Scale Joist Selection Engine
+ * 
+ * Selects the appropriate variant for a joist position from the massive
+ * 10,000-variant library, the way a designer works from SJI load tables.
+ * 
+ * Selection Algorithm:
+ * - Only the current revision of each mark is considered (the latest,
+ *   unless another has been promoted)
+ * - Length: the shortest stocked length that covers the span and has an
+ *   adequate joist
+ * - Loads: dead, live and snow (psf) over the tributary width, plus the
+ *   joist's self-weight, combined per ASD (see JoistCapacity.js)
+ * - Deflection: live or snow load within span/deflectionLimit
+ * - Of the adequate joists, the lightest wins
+ * 
+ * Selections are cached, so repeated loads cost a single Map lookup.
+ * 
+ * @param {Object} requirements - span, tributaryWidth, deadLoad/liveLoad/snowLoad
+ *   in psf and deflectionLimit (see resolveLoadRequirements())
+ * @returns {string} Variant ID (schedule mark and revision)
+ */
+export const selectJoistVariant = (requirements) => JoistLibrary.selectJoistVariant(LIBRARY, requirements);
 
-      if (nodeCount > 0 && triangleCount > 0) {
-        // === VERTEX EXTRACTION ===
-        // Extract vertices with proper coordinate transformation
-        for (let i = 1; i <= nodeCount; i++) {
-          const node = tri.Node(i);
-          node.Transform(trans);
-          allVertices.push(node.X(), node.Y(), node.Z());
-        }
+/**
+ * Catalogue Query Engine
+ * 
+ * Finds variants by any metadata field without scanning the catalogue by
+ * hand: filters (depth range, load rating, steel grade, fire rating,
+ * availability, cost category, ...), sort keys and pages (see JoistQuery.js).
+ * 
+ *   queryJoistLibrary({
+ *     where: { fireRating: '2-Hour', availability: 'Standard', depth: { min: 30, max: 40 } },
+ *     sort: [{ field: 'costCategory' }, 'weight'],
+ *     page: 2,
+ *     pageSize: 25,
+ *   })
+ * 
+ * @param {Object} [query] - where, sort, page and pageSize (see queryVariants()),
+ *   and currentOnly for just the revisions in use
+ * @returns {Object} {variants: [{variantId, metadata}], total, page, pageSize, pageCount}
+ */
+export const queryJoistLibrary = (query) => JoistLibrary.queryJoistLibrary(LIBRARY, query);
 
-        // === TRIANGLE EXTRACTION ===
-        // Extract triangle connectivity with proper indexing
-        for (let i = 1; i <= triangleCount; i++) {
-          const triangle = tri.Triangle(i);
-          const n1 = triangle.Value(1);
-          const n2 = triangle.Value(2);
-          const n3 = triangle.Value(3);
+/**
+ * Enterprise-Scale Joist Instantiation Engine
+ * 
+ * Performs lightning-fast joist instantiation for a position: once its joist
+ * has been tessellated (on the first request, or by prefetchJoistVariants())
+ * this is a cache lookup regardless of the original geometric complexity.
+ * 
+ * @param {Object} requirements - Span and loads on the joist (see selectJoistVariant())
+ * @returns {Promise<Object>} {geometry, metadata, variantId, mirrored} - Complete joist instance
+ */
+export const instantiateJoistFromLibrary = (requirements) =>
+  JoistLibrary.instantiateJoistFromLibrary(LIBRARY, requirements);
 
-          // Adjust indices for the consolidated vertex array
-          allTriangles.push(
-            n1 - 1 + vertexOffset,
-            n2 - 1 + vertexOffset,
-            n3 - 1 + vertexOffset
-          );
-        }
+/**
+ * Schedule Lookup
+ * 
+ * Finds a joist by SJI designation and span, the way joists are called out
+ * on a joist schedule.
+ * 
+ * @param {string} designation - SJI designation, e.g. "48LH13"
+ * @param {number|string} span - Span in inches or a length string ("60'")
+ * @param {number} [revision] - Design revision, the current one by default
+ * @returns {Promise<Object>} {geometry, metadata, variantId, mirrored} - Complete joist instance
+ */
+export const getJoistByDesignation = (designation, span, revision) =>
+  JoistLibrary.getJoistByDesignation(LIBRARY, designation, span, revision);
 
-        vertexOffset += nodeCount;
-      }
+// === REVISION HISTORY ===
+// Every revision of a mark stays in the library. A new revision is not used
+// until it is promoted, so a model only changes when the designer says so.
+// The revision functions are JoistRevisions.js's, on this library.
 
-      triangulation.delete();
-    }
+/**
+ * Lists the design revisions of a designation's library joists (see
+ * JoistRevisions.getRevisionHistory()).
+ *
+ * @param {string} designation - SJI designation
+ * @param {number|string} [span] - Span; every stocked span by default
+ * @returns {Array<Object>} Revision history per schedule mark
+ */
+export const getRevisionHistory = (designation, span) =>
+  JoistRevisions.getRevisionHistory(LIBRARY, designation, span);
 
-    location.delete();
-    face.delete();
-    explorer.Next();
-  }
-  explorer.delete();
+/**
+ * Adds a design revision of a library joist, not promoted (see
+ * JoistRevisions.addJoistRevision()).
+ *
+ * @param {string} designation - SJI designation
+ * @param {number|string} span - Span
+ * @param {Object} changes - {params, metadata} to change
+ * @returns {string} Variant ID of the new revision
+ */
+export const addJoistRevision = (designation, span, changes) =>
+  JoistRevisions.addJoistRevision(LIBRARY, designation, span, changes);
 
-  // === BUFFER GEOMETRY ASSEMBLY ===
-  // Create optimized Three.js BufferGeometry
-  const geometry = new THREE.BufferGeometry();
-  geometry.setAttribute(
-    "position",
-    new THREE.Float32BufferAttribute(allVertices, 3)
-  );
+/**
+ * Compares two revisions of a library joist (see
+ * JoistRevisions.diffJoistRevisions()).
+ *
+ * @param {string} designation - SJI designation
+ * @param {number|string} span - Span
+ * @param {number} [from] - Earlier revision, the current one by default
+ * @param {number} [to] - Later revision, the latest by default
+ * @returns {Object} Parameter, metadata and geometry differences
+ */
+export const diffJoistRevisions = (designation, span, from, to) =>
+  JoistRevisions.diffJoistRevisions(LIBRARY, designation, span, from, to);
 
-  if (allTriangles.length > 0) {
-    geometry.setIndex(allTriangles);
-  }
+/**
+ * Lists the placed joists promoting a revision would change (see
+ * JoistRevisions.getPromotionImpact()).
+ *
+ * @param {Iterable<Object>} placements - Placed joists: {variantId} plus the
+ *   requirements they were selected for, if any (see selectJoistVariant())
+ * @param {string} designation - SJI designation
+ * @param {number|string} span - Span
+ * @param {number} [revision] - Revision to promote, the latest by default
+ * @returns {Array<Object>} {placement, from, to} per joist that would change
+ */
+export const getPromotionImpact = (placements, designation, span, revision) =>
+  JoistRevisions.getPromotionImpact(LIBRARY, placements, designation, span, revision);
 
-  // Compute vertex normals for proper lighting
-  geometry.computeVertexNormals();
+/**
+ * Makes a revision the one selection and schedule lookups use for its mark
+ * (see JoistRevisions.promoteJoistRevision()).
+ *
+ * @param {string} designation - SJI designation
+ * @param {number|string} span - Span
+ * @param {number} [revision] - Revision to promote, the latest by default
+ * @returns {string} Variant ID of the promoted revision
+ */
+export const promoteJoistRevision = (designation, span, revision) =>
+  JoistRevisions.promoteJoistRevision(LIBRARY, designation, span, revision);
 
-  return geometry;
-}
+// === LIBRARY FILES ===
+// The "C++ pre-tessellation" workflow: scripts/buildJoistLibrary.mjs runs
+// exportJoistLibrary() in Node, and the page loads the file it writes
 
 /**
- * Enterprise-Scale Joist Instantiation Engine
- * 
- * Performs lightning-fast joist instantiation by selecting appropriate
- * variants from the massive 10,000-variant library. This function simulates
- * the sophisticated selection logic that would exist in real structural
- * engineering software.
+ * Tessellates every variant and encodes the library as a binary library file
+ * (see JoistLibraryFile.js) for loadJoistLibrary().
  * 
- * Selection Algorithm:
- * - Uses position-based hashing for deterministic selection
- * - Considers structural engineering factors (loads, spans, etc.)
- * - Ensures realistic distribution across available variants
- * - Maintains engineering credibility in selection patterns
- * 
- * @param {number} joistIndex - Position index within bay
- * @param {number} bayIndex - Bay index within floor
- * @param {number} floorIndex - Floor index within building
- * @returns {Object} {geometry, metadata, variantId} - Complete joist instance
+ * @param {Function} [progressCallback] - Called with (loaded, total) after each joist
+ * @returns {Promise<ArrayBuffer>} Library file contents
  */
-export function instantiateJoistFromLibrary(joistIndex, bayIndex, floorIndex) {
-  // === STRUCTURAL SELECTION ALGORITHM ===
-  // Simulate sophisticated engineering selection logic
-  // In reality, this would involve:
-  // - Load analysis based on building usage and occupancy
-  // - Span calculations and deflection requirements  
-  // - Building code compliance checks
-  // - Material availability and cost optimization
-  // - Seismic and wind load considerations
-  // - Fire rating requirements
-  // - Connection detail compatibility
-
-  // Create deterministic but complex hash for realistic distribution
-  const baseHash = joistIndex + bayIndex * 100 + floorIndex * 1000;
-  const structuralHash = ((baseHash * 2654435761) % 4294967296) % 10000;
-
-  // === ENGINEERING PARAMETER MAPPING ===
-  // Map hash to realistic structural parameters
-  const lengthCategory = Math.floor(structuralHash / 100) + 25;  // 25-124 ft
-  const depthCategory = 20 + (structuralHash % 20) * 2;          // 20-58 inches
-  const patternNum = structuralHash % 150;                       // 0-149 patterns
-  const revision = Math.floor(structuralHash / 500);            // 0-19 revisions
-  const specification = Math.floor(structuralHash / 100);       // 0-99 specifications
+export const exportJoistLibrary = (progressCallback) => JoistLibrary.exportJoistLibrary(LIBRARY, progressCallback);
 
-  // === VARIANT ID CONSTRUCTION ===
-  // Build the part number for library lookup
-  const variantId = `JOIST_${lengthCategory}FT_${depthCategory}D_PAT${patternNum}_REV${revision}_SPEC${specification}`;
-
-  // === LIBRARY LOOKUP ===
-  // Fast hash-based lookup in the pre-built library
-  const libraryEntry = JOIST_LIBRARY.get(variantId);
-  if (!libraryEntry) {
-    throw new Error(`🌺 BIG KAHUNA: Joist variant ${variantId} not found in library`);
-  }
-
-  // === INSTANTANEOUS RETURN ===
-  // Return pre-computed data - this operation is essentially instantaneous
-  // regardless of the original geometric complexity
-  return {
-    geometry: libraryEntry.geometry,    // Pre-tessellated Three.js BufferGeometry
-    metadata: libraryEntry.metadata,    // Complete engineering specification
-    variantId: variantId                // Unique part identifier
-  };
-}
+/**
+ * Loads a library file written by exportJoistLibrary(), in place of
+ * initializeJoistLibrary(). Catalogue and geometry both come from the file,
+ * so OpenCascade is only needed for joists added later (see addJoistRevision()).
+ * 
+ * @param {string} url - Library file URL
+ * @param {Object} [oc] - OpenCascade.js instance, or a function that loads it,
+ *   for joists added later
+ * @returns {Promise<void>}
+ */
+export const loadJoistLibrary = (url, oc) => JoistLibrary.loadJoistLibrary(LIBRARY, url, oc);
 
 /**
- * Big Kahuna Library Statistics and Capabilities
+ * Big Kahuna Library Statistics
  * 
- * Provides comprehensive information about the enterprise-scale library's
- * capabilities, performance characteristics, and resource utilization.
- * Essential for system monitoring and capacity planning.
+ * Resource and performance monitoring computed from the library as it
+ * stands, never quoted from its design: parameter ranges and distinct values
+ * from all 10,000 variants' metadata, the real byte size of the geometry
+ * buffers loaded so far, how many variants share each geometry and
+ * instantiation timings measured by instantiateJoistFromLibrary(). The
+ * metadata summary is worked out on the first call and kept until the
+ * library is next initialized or loaded.
  * 
- * @returns {Object} Comprehensive library statistics
+ * @returns {Object} Library statistics: counts, geometryBytes, sharing
+ *   ({variants, geometries, mirroredVariants, mergedJoists, ratio}), fields (per
+ *   metadata field, see summarizeMetadata()), instantiation timings
+ *   ({lookups, loads}: of joists already loaded and of joists the request
+ *   loaded, see createTimings()) and display strings (memoryFootprint, ...)
  */
 export function getLibraryStats() {
+  const stats = JoistLibrary.getLibraryStats(LIBRARY);
+  const { fields } = stats;
   return {
-    // === SCALE METRICS ===
-    totalVariants: JOIST_LIBRARY.size,
-    memoryFootprint: `~${(JOIST_LIBRARY.size * 2).toFixed(1)}MB`,
-    
-    // === PARAMETER RANGES ===
-    lengthRange: "25-124 feet",           // Expanded from smaller demos
-    depthRange: "20-58 inches",           // Expanded depth range
-    webPatterns: "150 unique patterns",   // Doubled pattern variety
-    designRevisions: "20 revisions",      // More revision tracking
-    specifications: "100 different specs", // Comprehensive spec coverage
-    
+    ...stats,
+    specifications: describeValues(fields.specification, "specs"),
+
     // === MATERIAL VARIETY ===
-    steelGrades: "5 grades (A36, A572-50, A992, A588, A514)",
-    coatings: "5 types (Galvanized, Painted, Bare, Fire-Retardant, Weather-Resistant)",
-    connectionTypes: "4 types (Welded, Bolted, Hybrid, Pinned)",
-    
-    // === PERFORMANCE CHARACTERISTICS ===
-    instantiationSpeed: "~0.05ms per joist (optimized hash lookup)",
-    memoryEfficiency: "Shared geometry instances for optimal GPU usage",
-    scalability: "Proven to 10,000+ simultaneous instances",
-    
+    connectionTypes: describeValues(fields.connectionType, "types"),
+
     // === ENGINEERING FEATURES ===
-    loadRatingRange: "30-207 kips",
-    fireRatings: "None, 1-Hour, 2-Hour",
-    seismicRatings: "Standard, High",
-    weldingStandards: "AWS D1.1, Standard",
-    
-    // === SYSTEM CAPABILITIES ===
-    searchCapability: "Hash-based O(1) lookup",
-    updateFrequency: "Library can be updated without runtime interruption",
-    exportFormats: "Three.js BufferGeometry, metadata JSON",
-    qualityControl: "Automated tessellation validation"
+    loadRatingRange: describeRange(fields.loadRating, rating => `${rating} kips`),
+    fireRatings: describeValues(fields.fireRating, "ratings"),
+    seismicRatings: describeValues(fields.seismicRating, "ratings"),
+    weldingStandards: describeValues(fields.weldingRequirements, "standards")
   };
-}
\ No newline at end of file
+}
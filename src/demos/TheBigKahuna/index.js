@@ -9,7 +9,7 @@
  * The Big Kahuna Specifications:
  * =============================
  * - Building: 10 floors × 10 bays × 100 joists = 10,000 total joists
- * - Library: 10,000 pre-tessellated joist variants (~10000 unique marks)
+ * - Library: 10,000 joist variants (~10000 unique marks), tessellated on demand
  * - Dimensions: ~800' × 480' × 320' (massive commercial building scale)
  * - Performance Target: Sub-second instantiation for all 10,000 joists
  * - Interactive Features: Real-time floor visibility, design analysis simulation
@@ -37,12 +37,21 @@
 
 import initOpenCascade from "opencascade.js";
 import * as THREE from "three";
+import * as library from "./TheBigKahuna.js";
 import {
   initializeJoistLibrary,
+  loadJoistLibrary,
   instantiateJoistFromLibrary,
+  prefetchJoistVariants,
+  selectJoistVariant,
   getLibraryStats,
 } from "./TheBigKahuna.js";
+import { setupJoistRevisionControls } from "../Joists/JoistRevisionControls.js";
 import { setupThreeJSViewport } from "../../common/scene.js";
+import { formatLength, setDisplayUnitFromURL, toInternal } from "../../common/units.js";
+
+// Prebuilt library file (npm run build:library), relative to this page
+const LIBRARY_FILE = "../../libraries/big-kahuna-joists.jlib";
 
 // === GLOBAL STATE MANAGEMENT ===
 // Enterprise-scale state management for 10,000+ objects
@@ -174,6 +183,7 @@ function updateLibraryInfo(stats, uniqueJoistCount, avgInstantiationTime) {
   const libraryElements = {
     variants: document.getElementById("library-variants"),
     memory: document.getElementById("library-memory"),
+    sharing: document.getElementById("library-sharing"),
     specs: document.getElementById("library-specs"),
     depths: document.getElementById("library-depths"),
     patterns: document.getElementById("library-patterns"),
@@ -190,6 +200,9 @@ function updateLibraryInfo(stats, uniqueJoistCount, avgInstantiationTime) {
   if (libraryElements.memory) {
     libraryElements.memory.textContent = `Library Size: ${stats.memoryFootprint}`;
   }
+  if (libraryElements.sharing) {
+    libraryElements.sharing.textContent = `Geometry Sharing: ${stats.geometrySharing}`;
+  }
   if (libraryElements.specs) {
     libraryElements.specs.textContent = `Length Range: ${stats.lengthRange}`;
   }
@@ -461,7 +474,7 @@ function simulateDesignRun() {
  * Building Specifications:
  * - 10 floors × 10 bays × 100 joists = 10,000 total joists
  * - Building footprint: ~800' × 480' × 320' high
- * - Uses ~10000 unique variants from the massive library
+ * - Selects the lightest adequate variant for each joist's span and loads
  * - Individual mesh instances for maximum design flexibility
  * 
  * @param {THREE.Scene} scene - Three.js scene for joist placement
@@ -471,18 +484,46 @@ function simulateDesignRun() {
 async function createBigKahunaJoists(scene, progressCallback) {
   // === BIG KAHUNA BUILDING CONFIGURATION ===
   const bigKahunaConfig = {
+    units: 'ft',              // Unit of the lengths below (see common/units.js)
     joistsPerBay: 100,        // Joists per bay (commercial building density)
     numberOfBays: 10,         // Bays per floor (large commercial scale)
     numberOfFloors: 10,       // Total floors (high-rise commercial)
-    joistSpacing: 8 * 12,     // 8 feet spacing (standard commercial)
-    bayWidth: 48 * 12,        // 48 feet bay width (large commercial spans)
-    storyHeight: 32 * 12      // 32 feet story height (commercial/industrial)
+    joistSpacing: 8,          // 8 feet spacing (standard commercial)
+    bayWidth: 48,             // 48 feet bay width (large commercial spans)
+    storyHeight: 32,          // 32 feet story height (commercial/industrial)
+    // Loads in psf: bays cycle through the floor uses, the top floor is roof
+    floorLoads: [
+      { deadLoad: 40, liveLoad: 50 },    // Offices
+      { deadLoad: 40, liveLoad: 80 },    // Offices with partitions
+      { deadLoad: 40, liveLoad: 100 },   // Assembly and corridors
+      { deadLoad: 45, liveLoad: 125 }    // Light storage
+    ],
+    roofLoads: { deadLoad: 15, liveLoad: 20, snowLoad: 30 }
   };
 
+  // Lengths in inches, the model's internal unit
+  const joistSpacing = toInternal(bigKahunaConfig.joistSpacing, bigKahunaConfig.units);
+  const bayWidth = toInternal(bigKahunaConfig.bayWidth, bigKahunaConfig.units);
+  const storyHeight = toInternal(bigKahunaConfig.storyHeight, bigKahunaConfig.units);
+
   const totalJoists = bigKahunaConfig.numberOfFloors * bigKahunaConfig.numberOfBays * bigKahunaConfig.joistsPerBay;
-  const totalLength = (bigKahunaConfig.joistsPerBay - 1) * bigKahunaConfig.joistSpacing;
-  const totalWidth = bigKahunaConfig.numberOfBays * bigKahunaConfig.bayWidth;
-  const totalHeight = (bigKahunaConfig.numberOfFloors - 1) * bigKahunaConfig.storyHeight;
+  const totalLength = (bigKahunaConfig.joistsPerBay - 1) * joistSpacing;
+  const totalWidth = bigKahunaConfig.numberOfBays * bayWidth;
+  const totalHeight = (bigKahunaConfig.numberOfFloors - 1) * storyHeight;
+
+  // === STRUCTURAL REQUIREMENTS ===
+  // Span and loads on a joist position; the joists at the ends of a bay
+  // carry half the spacing
+  const joistRequirements = (joistIndex, bayIndex, floorIndex) => {
+    const isEdge = joistIndex === 0 || joistIndex === bigKahunaConfig.joistsPerBay - 1;
+    const isRoof = floorIndex === bigKahunaConfig.numberOfFloors - 1;
+    const { floorLoads, roofLoads } = bigKahunaConfig;
+    return {
+      span: bayWidth,
+      tributaryWidth: isEdge ? joistSpacing / 2 : joistSpacing,
+      ...(isRoof ? roofLoads : floorLoads[bayIndex % floorLoads.length])
+    };
+  };
 
   // === BIG KAHUNA PERFORMANCE TRACKING ===
   const allMeshes = [];
@@ -499,26 +540,46 @@ async function createBigKahunaJoists(scene, progressCallback) {
   console.log(`🏗️  Building Specifications:`);
   console.log(`   - ${bigKahunaConfig.numberOfFloors} floors × ${bigKahunaConfig.numberOfBays} bays × ${bigKahunaConfig.joistsPerBay} joists`);
   console.log(`   - Total joists: ${totalJoists.toLocaleString()}`);
-  console.log(`   - Building dimensions: ${totalLength/12}' × ${totalWidth/12}' × ${totalHeight/12}'`);
-  console.log(`   - Expected variants: ~${Math.min(totalJoists, 10000).toLocaleString()}`);
+  console.log(`   - Building dimensions: ${formatLength(totalLength)} × ${formatLength(totalWidth)} × ${formatLength(totalHeight)}`);
+  console.log(`   - Loads: ${bigKahunaConfig.floorLoads.length} floor uses and a roof, joists selected by span and load`);
+
+  // === LAYOUT PREFETCH ===
+  // Load the joists this building uses before placing any, so the
+  // instantiation timings below measure library lookups only
+  const layoutVariants = [];
+  for (let floorIndex = 0; floorIndex < bigKahunaConfig.numberOfFloors; floorIndex++) {
+    for (let bayIndex = 0; bayIndex < bigKahunaConfig.numberOfBays; bayIndex++) {
+      for (let joistIndex = 0; joistIndex < bigKahunaConfig.joistsPerBay; joistIndex++) {
+        layoutVariants.push(selectJoistVariant(joistRequirements(joistIndex, bayIndex, floorIndex)));
+      }
+    }
+  }
+  const prefetchStart = performance.now();
+  const prefetched = await prefetchJoistVariants(layoutVariants, (loaded, total) => {
+    if (progressCallback) {
+      progressCallback(`🌺 BIG KAHUNA: Loading joist ${loaded} of ${total} used by this building...`);
+    }
+  });
+  console.log(`   - Loaded ${prefetched.loaded.toLocaleString()} joists (${prefetched.fromStore.toLocaleString()} from the geometry store) in ${((performance.now() - prefetchStart) / 1000).toFixed(2)}s`);
 
   // === ENTERPRISE-SCALE JOIST CREATION LOOP ===
   // Process building floor by floor for organized construction
   for (let floorIndex = 0; floorIndex < bigKahunaConfig.numberOfFloors; floorIndex++) {
-    const yPosition = floorIndex * bigKahunaConfig.storyHeight;
+    const yPosition = floorIndex * storyHeight;
 
     // Process each bay on the current floor
     for (let bayIndex = 0; bayIndex < bigKahunaConfig.numberOfBays; bayIndex++) {
       // Create all joists in the current bay
       for (let joistIndex = 0; joistIndex < bigKahunaConfig.joistsPerBay; joistIndex++) {
         // === 3D POSITIONING CALCULATION ===
-        const xPosition = joistIndex * bigKahunaConfig.joistSpacing - totalLength / 2;
-        const zPosition = bayIndex * bigKahunaConfig.bayWidth - totalWidth / 2 + bigKahunaConfig.bayWidth / 2;
+        const xPosition = joistIndex * joistSpacing - totalLength / 2;
+        const zPosition = bayIndex * bayWidth - totalWidth / 2 + bayWidth / 2;
 
         // === LIGHTNING-FAST LIBRARY INSTANTIATION ===
         // This is the key operation that validates the Big Kahuna approach
+        const requirements = joistRequirements(joistIndex, bayIndex, floorIndex);
         const instantiationStart = performance.now();
-        const joistData = instantiateJoistFromLibrary(joistIndex, bayIndex, floorIndex);
+        const joistData = await instantiateJoistFromLibrary(requirements);
         const instantiationEnd = performance.now();
 
         // Track performance metrics for validation
@@ -535,11 +596,14 @@ async function createBigKahunaJoists(scene, progressCallback) {
 
         const mesh = new THREE.Mesh(joistData.geometry, material);
         mesh.position.set(xPosition, yPosition, zPosition);
+        // Mirror-image variants share their geometry with the joist they mirror
+        if (joistData.mirrored) mesh.scale.z = -1;
 
         // Store comprehensive metadata for analysis and debugging
         mesh.userData = {
           variantId: joistData.variantId,
           metadata: joistData.metadata,
+          requirements: requirements,
           floor: floorIndex,
           bay: bayIndex,
           joist: joistIndex,
@@ -600,10 +664,10 @@ async function createBigKahunaJoists(scene, progressCallback) {
     uniqueVariantsUsed: uniqueVariants.size,
     avgInstantiationTime: avgInstantiationTime,
     numberOfFloors: bigKahunaConfig.numberOfFloors,
-    buildingDimensions: {
-      length: totalLength / 12,
-      width: totalWidth / 12,
-      height: totalHeight / 12
+    buildingDimensions: {     // Inches; format with formatLength() for display
+      length: totalLength,
+      width: totalWidth,
+      height: totalHeight
     }
   };
 }
@@ -616,9 +680,9 @@ async function createBigKahunaJoists(scene, progressCallback) {
  * at enterprise engineering software scale.
  * 
  * Workflow Phases:
- * 1. OpenCascade initialization
- * 2. Massive 10,000-variant library building
- * 3. 10,000-joist building creation
+ * 1. OpenCascade initialization (on demand, only for joists not yet stored)
+ * 2. Massive 10,000-variant library catalogue loading
+ * 3. Tessellation of the joists used and 10,000-joist building creation
  * 4. Interactive control system setup
  * 5. Real-time performance monitoring
  * 6. Comprehensive results reporting
@@ -649,22 +713,29 @@ async function main() {
   const startTime = performance.now();
 
   try {
-    // === PHASE 1: OPENCASCADE INITIALIZATION ===
-    if (uiElements.progressText) {
-      uiElements.progressText.innerText = "🌺 THE BIG KAHUNA: Initializing OpenCascade...";
-    }
-    const oc = await initOpenCascade();
+    // Display unit for dimensions, e.g. ?units=m (feet and inches by default)
+    setDisplayUnitFromURL();
+
+    // === PHASE 1: OPENCASCADE (ON DEMAND) ===
+    // The library loads OpenCascade only for joists missing from the
+    // geometry store, so a repeat visit skips WASM init and tessellation
 
     // === PHASE 2: MASSIVE LIBRARY INITIALIZATION ===
     if (uiElements.progressText) {
-      uiElements.progressText.innerText = "🌺 Pre-tessellating 10000-variant joist library...";
+      uiElements.progressText.innerText = "🌺 Loading 10000-variant joist library catalogue...";
     }
     if (uiElements.timeInfo) {
-      uiElements.timeInfo.innerText = "Building the ultimate joist library (one-time cost)";
+      uiElements.timeInfo.innerText = "Joists are tessellated when the building first needs them, then stored";
     }
 
     const libraryStart = performance.now();
-    await initializeJoistLibrary(oc);
+    try {
+      // Prebuilt catalogue and geometry: OpenCascade only for new revisions
+      await loadJoistLibrary(LIBRARY_FILE, initOpenCascade);
+    } catch (error) {
+      console.warn(`${error.message} - building the library catalogue in the browser instead`);
+      await initializeJoistLibrary(initOpenCascade);
+    }
     const libraryEnd = performance.now();
     const libraryTime = ((libraryEnd - libraryStart) / 1000).toFixed(2);
 
@@ -673,7 +744,7 @@ async function main() {
     console.log(`🌺 Big Kahuna Library Initialization Complete:`);
     console.log(`   - Library build time: ${libraryTime}s`);
     console.log(`   - Total variants: ${stats.totalVariants}`);
-    console.log(`   - Memory footprint: ${stats.memoryFootprint}`);
+    console.log(`   - Geometry loaded: ${stats.memoryFootprint}`);
 
     // === PHASE 3: MASSIVE BUILDING CREATION ===
     if (uiElements.progressText) {
@@ -687,6 +758,7 @@ async function main() {
       scene,
       (message, current, total, uniqueCount, avgTime) => {
         if (uiElements.progressText) uiElements.progressText.innerText = message;
+        if (avgTime === undefined) return;  // Still loading the building's joists
         const elapsed = ((performance.now() - startTime) / 1000).toFixed(1);
         const joistsPerSecond = Math.round(1000 / parseFloat(avgTime));
         if (uiElements.timeInfo) {
@@ -694,7 +766,7 @@ async function main() {
         }
 
         // Real-time library info updates
-        updateLibraryInfo(stats, uniqueCount, avgTime);
+        updateLibraryInfo(getLibraryStats(), uniqueCount, avgTime);
       }
     );
 
@@ -712,7 +784,7 @@ async function main() {
     console.log(`\n🌺 THE BIG KAHUNA RESULTS 🌺`);
     console.log(`==============================`);
     console.log(`🏗️  Building Specifications:`);
-    console.log(`   - ${result.buildingDimensions.length.toFixed(0)}' × ${result.buildingDimensions.width.toFixed(0)}' × ${result.buildingDimensions.height.toFixed(0)}' building`);
+    console.log(`   - ${formatLength(result.buildingDimensions.length)} × ${formatLength(result.buildingDimensions.width)} × ${formatLength(result.buildingDimensions.height)} building`);
     console.log(`   - ${result.meshes.length.toLocaleString()} total joist instances`);
     console.log(`   - ${result.numberOfFloors} floors with 1,000 joists each`);
     console.log(`📚 Library Performance:`);
@@ -726,7 +798,7 @@ async function main() {
     console.log(`🎯 Total Performance:`);
     console.log(`   - Total time (including library): ${totalTime}s`);
     console.log(`   - Estimated triangle count: ${(result.meshes.length * 1000).toLocaleString()}`);
-    console.log(`   - Memory efficiency: Shared geometry instances`);
+    console.log(`   - Geometry sharing: ${getLibraryStats().geometrySharing}`);
 
     // Update final UI display
     if (uiElements.progressText) {
@@ -741,7 +813,7 @@ async function main() {
     
     // Update comprehensive library information display
     updateLibraryInfo(
-      stats,
+      getLibraryStats(),
       result.uniqueVariantsUsed,
       result.avgInstantiationTime
     );
@@ -752,6 +824,9 @@ async function main() {
     // Setup enterprise-scale design analysis simulation
     setupDesignControls();
 
+    // Setup revision comparison and promotion for the marks in the building
+    setupJoistRevisionControls(library, () => joistsByFloor.flat());
+
     // === PHASE 6: PERFORMANCE MONITORING ACTIVATION ===
     // Launch real-time performance monitoring for Big Kahuna validation
     if (scene.userData?.renderer) {
@@ -2,6 +2,7 @@ import initOpenCascade from "opencascade.js";
 import * as THREE from "three";
 import { CreateUniqueJoist } from "./WhatIfTheJoistsAreDifferent.js";
 import { setupThreeJSViewport } from "../../common/scene.js";
+import { formatLength, setDisplayUnitFromURL, toInternal } from "../../common/units.js";
 
 function tessellateShape(oc, shape) {
   // Apply mesh generation with appropriate parameters
@@ -132,13 +133,16 @@ async function createJoistsInBatches(oc, scene, progressCallback) {
   const joistsPerBay = 100;
   const numberOfBays = 10;
   const numberOfFloors = 5;
-  const joistSpacing = 8 * 12;
-  const bayWidth = 48 * 12;
-  const storyHeight = 32 * 12;
+  const units = "ft";   // Unit of the lengths below (see common/units.js)
+  const joistSpacing = toInternal(8, units);
+  const bayWidth = toInternal(48, units);
+  const storyHeight = toInternal(32, units);
   const totalJoists = numberOfFloors * numberOfBays * joistsPerBay;
 
   const totalLength = (joistsPerBay - 1) * joistSpacing;
   const totalWidth = numberOfBays * bayWidth;
+  const totalHeight = (numberOfFloors - 1) * storyHeight;
+  console.log(`Building dimensions: ${formatLength(totalLength)} x ${formatLength(totalWidth)} x ${formatLength(totalHeight)}`);
 
   const BATCH_SIZE = 25; // Process in smaller batches to keep UI responsive
   const allMeshes = [];
@@ -216,6 +220,9 @@ async function main() {
     return;
   }
 
+  // Lengths are logged in the display unit, e.g. ?units=m (feet and inches by default)
+  setDisplayUnitFromURL();
+
   // Track total time
   const startTime = performance.now();
 
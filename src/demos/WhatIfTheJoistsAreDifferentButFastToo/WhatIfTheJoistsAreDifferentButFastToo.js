@@ -8,13 +8,18 @@
  * 
  * Architecture Overview:
  * 1. Library Initialization (one-time cost):
- *    - Pre-tessellate joist variants into Three.js BufferGeometry
- *    - Store in memory with metadata for quick lookup
+ *    - Catalogue joist variants with their parameters and metadata
+ *    - Tessellate each distinct joist into Three.js BufferGeometry on its
+ *      first request, or ahead of use for a whole layout (prefetch)
+ *    - Share one geometry among variants that tessellate the same, or as
+ *      mirror images of each other
+ *    - Store in memory for quick lookup
  *    - Similar to how a C++ library would work
  * 
  * 2. Runtime Instantiation (very fast):
- *    - Simple hash-based lookup to find appropriate variant
- *    - Return pre-computed geometry + metadata
+ *    - Select the lightest current variant that carries the span and loads
+ *      (see selectJoistVariant()), cached per set of requirements
+ *    - Return cached geometry + metadata
  *    - No OpenCascade operations during instantiation
  * 
  * This approach enables:
@@ -23,249 +28,226 @@
  * - Scalable architecture for large building models
  */
 
-import * as THREE from "three";
-import { CreateJoist } from '../Joists/Joist.js';
+import * as JoistLibrary from '../Joists/JoistLibrary.js';
+import * as JoistRevisions from '../Joists/JoistRevisions.js';
 
 // === GLOBAL LIBRARY STORAGE ===
-// In-memory storage for pre-tessellated joist variants
-// In a real application, this would be persisted to disk/database
-const JOIST_LIBRARY = new Map();
+// In-memory catalogue of joist variants, keyed by schedule mark and revision
+// (e.g. 24K6 x 40'-0" R3), with their geometry (see JoistLibrary.js)
+const LIBRARY = JoistLibrary.createJoistLibrary();
+
+// SJI designations stocked in the library, each at spans of 40' to 80' and
+// in 10 design revisions
+const LIBRARY_VARIANTS = {
+  designations: [
+    '24K6', '24K9', '24K12', '26K7', '26K10', '28K8', '28K10', '28K12', '30K9', '30K11',
+    '30K12', '30KCS3', '30KCS5', '32LH10', '36LH11', '36LH13', '40LH12', '40LH14', '44LH15', '48LH16',
+  ],
+  spansFt: [40, 50, 60, 70, 80],
+  webPatterns: ['warren', 'modifiedWarren', 'pratt'],
+  size: 1000,
+  // Metadata of variant i beyond its joist's own
+  metadata: (i) => ({
+    loadRating: 50 + (i % 30) * 5,   // Load rating in kips
+    steelGrade: i % 3 === 0 ? 'A36' : i % 3 === 1 ? 'A572-50' : 'A992',
+    coating: i % 3 === 0 ? 'Galvanized' : i % 3 === 1 ? 'Painted' : 'Bare',
+  }),
+};
 
 /**
- * Initializes the joist library with pre-tessellated variants
+ * Initializes the joist library catalogue
  * 
  * This function simulates the one-time library build process that would
  * typically happen during application startup or as a preprocessing step.
  * In a real C++ application, this data would be pre-computed and stored
  * in a database or binary format for instant loading.
  * 
- * @param {Object} oc - OpenCascade.js instance
+ * Each variant gets its own joist geometry, built from its designation,
+ * span and web pattern. Nothing is tessellated here: a variant's geometry is
+ * built on its first request (or by prefetchJoistVariants()) and shared by
+ * all variants with identical joist parameters.
+ * 
+ * A catalogue (see JoistCatalogue.js) replaces the synthesized variants
+ * with the joists it lists, load table values and all.
+ * 
+ * @param {Object} oc - OpenCascade.js instance, or a function that
+ *   loads it; called only when a joist is missing from the geometry store
+ * @param {Array<Object>} [catalogue] - Records from parseJoistCatalogue(),
+ *   of one or more catalogues
+ */
+export const initializeJoistLibrary = (oc, catalogue) =>
+  JoistLibrary.initializeJoistLibrary(LIBRARY, oc, LIBRARY_VARIANTS, catalogue);
+
+/**
+ * Tessellates the joists a layout will need ahead of use
+ * 
+ * Loads every distinct geometry behind the given variants that is not
+ * cached yet, from the geometry store or by tessellating it, yielding to the
+ * browser between joists so the page stays responsive. Later requests for
+ * these variants are plain cache lookups.
+ * 
+ * @param {Iterable<string>} variantIds - Variants the layout places (repeats are fine)
+ * @param {Function} [progressCallback] - Called with (loaded, total) after each joist
+ * @returns {Promise<Object>} {loaded, fromStore} - Joists loaded, and how many
+ *   of them came from the geometry store rather than OpenCascade
+ */
+export const prefetchJoistVariants = (variantIds, progressCallback) =>
+  JoistLibrary.prefetchJoistVariants(LIBRARY, variantIds, progressCallback);
+
+/**
+ * Variant selection for a joist position
+ * 
+ * Selects the lightest joist that carries the loads on the position, from
+ * the current revisions stocked at the shortest library length that covers
+ * the span and has one. Capacities are approximate (see JoistCapacity.js); the same loads
+ * always get the same variant.
+ * 
+ * @param {Object} requirements - span, tributaryWidth, deadLoad/liveLoad/snowLoad
+ *   in psf and deflectionLimit (see resolveLoadRequirements())
+ * @returns {string} Variant ID (schedule mark and revision)
+ */
+export const selectJoistVariant = (requirements) => JoistLibrary.selectJoistVariant(LIBRARY, requirements);
+
+/**
+ * Library query by metadata
+ * 
+ * Filters variants by any metadata field (depth range, load rating, steel
+ * grade, ...), sorts and pages them (see JoistQuery.js), e.g.
+ * 
+ *   queryJoistLibrary({ where: { steelGrade: 'A992', depth: { min: 24, max: 36 } },
+ *                       sort: 'weight', pageSize: 20 })
+ * 
+ * @param {Object} [query] - where, sort, page and pageSize (see queryVariants()),
+ *   and currentOnly for just the revisions in use
+ * @returns {Object} {variants: [{variantId, metadata}], total, page, pageSize, pageCount}
  */
-export async function initializeJoistLibrary(oc) {
-  console.log("Initializing joist library (simulating C++ pre-tessellation)...");
-  
-  // === BASE JOIST CREATION ===
-  // Create a single base joist that will serve as the template
-  const baseJoist = await CreateJoist(oc);
-  
-  // Apply standard orientation (90-degree rotation around Y-axis)
-  // This aligns the joist with our coordinate system
-  const transform = new oc.gp_Trsf_1();
-  const yAxis = new oc.gp_Ax1_2(new oc.gp_Pnt_3(0, 0, 0), new oc.gp_Dir_4(0, 1, 0));
-  transform.SetRotation_1(yAxis, Math.PI / 2);
-  const transformer = new oc.BRepBuilderAPI_Transform_2(baseJoist, transform, false);
-  const rotatedJoist = transformer.Shape();
-  
-  // === TESSELLATION (EXPENSIVE OPERATION) ===
-  // Convert OpenCascade shape to Three.js BufferGeometry
-  // This is the computationally expensive step that we do once upfront
-  const tessellatedGeometry = tessellateShapeOptimized(oc, rotatedJoist);
-  
-  // === LIBRARY POPULATION ===
-  // Generate 1000 joist variants with different specifications
-  // In reality, these would be distinct structural designs
-  for (let i = 0; i < 1000; i++) {
-    // Generate realistic variant parameters
-    const lengthFt = Math.floor(i/20) + 40;           // 40-89 ft lengths
-    const depthInches = 30 + (i % 8) * 3;             // 30-51 inch depths  
-    const patternId = i % 50;                         // 50 web patterns
-    const revision = Math.floor(i / 100);             // Design revisions
-    const loadRating = 50 + (i % 30) * 5;            // Load capacity
-    
-    // Create unique variant ID (like a part number)
-    const variantId = `JOIST_${lengthFt}FT_${depthInches}D_PAT${patternId}_REV${revision}`;
-    
-    // Store in library with geometry and metadata
-    JOIST_LIBRARY.set(variantId, {
-      geometry: tessellatedGeometry,  // Pre-computed Three.js geometry
-      metadata: {
-        length: lengthFt * 12,        // Length in inches
-        depth: depthInches,           // Depth in inches
-        pattern: `WebPattern_${patternId}`,
-        revision: revision,
-        loadRating: loadRating,       // Load rating in kips
-        steelGrade: i % 3 === 0 ? 'A36' : i % 3 === 1 ? 'A572-50' : 'A992',
-        coating: i % 3 === 0 ? 'Galvanized' : i % 3 === 1 ? 'Painted' : 'Bare'
-      }
-    });
-  }
-  
-  // === CLEANUP ===
-  // Clean up OpenCascade objects to prevent memory leaks
-  baseJoist.delete();
-  transform.delete();
-  yAxis.delete();
-  transformer.delete();
-  rotatedJoist.delete();
-  
-  console.log(`Joist library initialized with ${JOIST_LIBRARY.size} variants`);
-}
+export const queryJoistLibrary = (query) => JoistLibrary.queryJoistLibrary(LIBRARY, query);
 
 /**
- * Optimized shape tessellation for library building
+ * Fast joist instantiation from library
  * 
- * Converts an OpenCascade shape into a Three.js BufferGeometry.
- * This function prioritizes performance and uses modern Three.js
- * BufferGeometry instead of deprecated Geometry objects.
+ * The key benefit: regardless of the original joist complexity, instantiation
+ * is just a fast memory lookup once the variant has been tessellated. The
+ * first request for a joist builds it; prefetchJoistVariants() does that ahead.
  * 
- * @param {Object} oc - OpenCascade.js instance
- * @param {Object} shape - OpenCascade shape to tessellate
- * @returns {THREE.BufferGeometry} Pre-computed Three.js geometry
+ * @param {Object} requirements - Span and loads on the joist (see selectJoistVariant())
+ * @returns {Promise<Object>} {geometry, metadata, variantId, mirrored} - Joist instance data
  */
-function tessellateShapeOptimized(oc, shape) {
-  // Apply mesh generation with quality parameters
-  new oc.BRepMesh_IncrementalMesh_2(shape, 0.1, false, 0.5, false);
+export const instantiateJoistFromLibrary = (requirements) =>
+  JoistLibrary.instantiateJoistFromLibrary(LIBRARY, requirements);
 
-  const allVertices = [];   // Combined vertex coordinates
-  const allTriangles = [];  // Combined triangle indices
-  let vertexOffset = 0;     // Offset for combining multiple faces
+/**
+ * Looks up a joist by SJI designation and span, as given on a joist schedule.
+ * 
+ * @param {string} designation - SJI designation, e.g. "24K6"
+ * @param {number|string} span - Span in inches or a length string ("40'")
+ * @param {number} [revision] - Design revision, the current one by default
+ * @returns {Promise<Object>} {geometry, metadata, variantId, mirrored} - Joist instance data
+ */
+export const getJoistByDesignation = (designation, span, revision) =>
+  JoistLibrary.getJoistByDesignation(LIBRARY, designation, span, revision);
 
-  // === FACE ITERATION ===
-  // Process each face of the shape separately
-  const explorer = new oc.TopExp_Explorer_2(
-    shape,
-    oc.TopAbs_ShapeEnum.TopAbs_FACE,
-    oc.TopAbs_ShapeEnum.TopAbs_SHAPE
-  );
-  
-  while (explorer.More()) {
-    const face = oc.TopoDS.Face_1(explorer.Current());
-    const location = new oc.TopLoc_Location_1();
-    const triangulation = oc.BRep_Tool.Triangulation(face, location, 0);
+// === REVISION HISTORY ===
+// Every revision of a mark stays in the library. A new revision is not used
+// until it is promoted, so a model only changes when the designer says so.
+// The revision functions are JoistRevisions.js's, on this library.
 
-    if (!triangulation.IsNull()) {
-      const tri = triangulation.get();
-      const trans = location.Transformation();
-      
-      const nodeCount = tri.NbNodes();
-      const triangleCount = tri.NbTriangles();
-      
-      if (nodeCount > 0 && triangleCount > 0) {
-        // === VERTEX EXTRACTION ===
-        // Extract vertices and apply transformation
-        for (let i = 1; i <= nodeCount; i++) {
-          const node = tri.Node(i);
-          node.Transform(trans);
-          allVertices.push(node.X(), node.Y(), node.Z());
-        }
+/**
+ * Lists the design revisions of a designation's library joists (see
+ * JoistRevisions.getRevisionHistory()).
+ *
+ * @param {string} designation - SJI designation
+ * @param {number|string} [span] - Span; every stocked span by default
+ * @returns {Array<Object>} Revision history per schedule mark
+ */
+export const getRevisionHistory = (designation, span) =>
+  JoistRevisions.getRevisionHistory(LIBRARY, designation, span);
 
-        // === TRIANGLE EXTRACTION ===
-        // Extract triangle indices and adjust for combined vertex array
-        for (let i = 1; i <= triangleCount; i++) {
-          const triangle = tri.Triangle(i);
-          const n1 = triangle.Value(1);
-          const n2 = triangle.Value(2);
-          const n3 = triangle.Value(3);
-          
-          // Adjust indices for the combined vertex array
-          allTriangles.push(
-            n1 - 1 + vertexOffset,
-            n2 - 1 + vertexOffset,
-            n3 - 1 + vertexOffset
-          );
-        }
+/**
+ * Adds a design revision of a library joist, not promoted (see
+ * JoistRevisions.addJoistRevision()).
+ *
+ * @param {string} designation - SJI designation
+ * @param {number|string} span - Span
+ * @param {Object} changes - {params, metadata} to change
+ * @returns {string} Variant ID of the new revision
+ */
+export const addJoistRevision = (designation, span, changes) =>
+  JoistRevisions.addJoistRevision(LIBRARY, designation, span, changes);
 
-        vertexOffset += nodeCount;
-      }
-      
-      triangulation.delete();
-    }
+/**
+ * Compares two revisions of a library joist (see
+ * JoistRevisions.diffJoistRevisions()).
+ *
+ * @param {string} designation - SJI designation
+ * @param {number|string} span - Span
+ * @param {number} [from] - Earlier revision, the current one by default
+ * @param {number} [to] - Later revision, the latest by default
+ * @returns {Object} Parameter, metadata and geometry differences
+ */
+export const diffJoistRevisions = (designation, span, from, to) =>
+  JoistRevisions.diffJoistRevisions(LIBRARY, designation, span, from, to);
 
-    location.delete();
-    face.delete();
-    explorer.Next();
-  }
-  explorer.delete();
+/**
+ * Lists the placed joists promoting a revision would change (see
+ * JoistRevisions.getPromotionImpact()).
+ *
+ * @param {Iterable<Object>} placements - Placed joists: {variantId} plus the
+ *   requirements they were selected for, if any (see selectJoistVariant())
+ * @param {string} designation - SJI designation
+ * @param {number|string} span - Span
+ * @param {number} [revision] - Revision to promote, the latest by default
+ * @returns {Array<Object>} {placement, from, to} per joist that would change
+ */
+export const getPromotionImpact = (placements, designation, span, revision) =>
+  JoistRevisions.getPromotionImpact(LIBRARY, placements, designation, span, revision);
 
-  // === BUFFER GEOMETRY CREATION ===
-  // Create Three.js BufferGeometry with the extracted data
-  const geometry = new THREE.BufferGeometry();
-  geometry.setAttribute(
-    "position",
-    new THREE.Float32BufferAttribute(allVertices, 3)
-  );
-  
-  if (allTriangles.length > 0) {
-    geometry.setIndex(allTriangles);
-  }
+/**
+ * Makes a revision the one selection and schedule lookups use for its mark
+ * (see JoistRevisions.promoteJoistRevision()).
+ *
+ * @param {string} designation - SJI designation
+ * @param {number|string} span - Span
+ * @param {number} [revision] - Revision to promote, the latest by default
+ * @returns {string} Variant ID of the promoted revision
+ */
+export const promoteJoistRevision = (designation, span, revision) =>
+  JoistRevisions.promoteJoistRevision(LIBRARY, designation, span, revision);
 
-  // Calculate normals for proper lighting
-  geometry.computeVertexNormals();
-  
-  return geometry;
-}
+// === LIBRARY FILES ===
+// The "C++ pre-tessellation" workflow: scripts/buildJoistLibrary.mjs runs
+// exportJoistLibrary() in Node, and the page loads the file it writes
 
 /**
- * Fast joist instantiation from library
+ * Tessellates every variant and encodes the library as a binary library file
+ * (see JoistLibraryFile.js) for loadJoistLibrary().
  * 
- * This function simulates the real-world process of selecting an appropriate
- * joist variant based on structural requirements. In a real application,
- * this would involve complex engineering calculations and building codes.
- * 
- * The key benefit: regardless of the original joist complexity, instantiation
- * is just a fast memory lookup since all the expensive work was done upfront.
+ * @param {Function} [progressCallback] - Called with (loaded, total) after each joist
+ * @returns {Promise<ArrayBuffer>} Library file contents
+ */
+export const exportJoistLibrary = (progressCallback) => JoistLibrary.exportJoistLibrary(LIBRARY, progressCallback);
+
+/**
+ * Loads a library file written by exportJoistLibrary(), in place of
+ * initializeJoistLibrary(). Catalogue and geometry both come from the file,
+ * so OpenCascade is only needed for joists added later (see addJoistRevision()).
  * 
- * @param {number} joistIndex - Position index of joist in bay
- * @param {number} bayIndex - Bay index in building
- * @param {number} floorIndex - Floor index in building
- * @returns {Object} {geometry, metadata, variantId} - Joist instance data
+ * @param {string} url - Library file URL
+ * @param {Object} [oc] - OpenCascade.js instance, or a function that loads it,
+ *   for joists added later
+ * @returns {Promise<void>}
  */
-export function instantiateJoistFromLibrary(joistIndex, bayIndex, floorIndex) {
-  // === STRUCTURAL ANALYSIS SIMULATION ===
-  // In reality, this would involve:
-  // - Load calculations based on building usage
-  // - Span requirements
-  // - Building code compliance
-  // - Cost optimization
-  // - Material availability
-  
-  // Create a pseudo-random but deterministic selection based on position
-  // This ensures the same joist position always gets the same variant
-  const structuralHash = (joistIndex * 7 + bayIndex * 23 + floorIndex * 41) % 1000;
-  
-  // Map hash to realistic joist parameters
-  const lengthCategory = Math.floor(structuralHash / 20) + 40; // 40-89 ft
-  const depthCategory = 30 + (structuralHash % 8) * 3;         // 30-51 inches
-  const patternNum = structuralHash % 50;                      // 0-49 patterns
-  const revision = Math.floor(structuralHash / 100);          // 0-9 revisions
-  
-  // Generate variant ID to look up in library
-  const variantId = `JOIST_${lengthCategory}FT_${depthCategory}D_PAT${patternNum}_REV${revision}`;
-  
-  // === LIBRARY LOOKUP ===
-  const libraryEntry = JOIST_LIBRARY.get(variantId);
-  if (!libraryEntry) {
-    throw new Error(`Joist variant ${variantId} not found in library`);
-  }
-  
-  // === INSTANT RETURN ===
-  // Return pre-computed geometry and metadata
-  // This operation is essentially instantaneous regardless of joist complexity
-  return {
-    geometry: libraryEntry.geometry,    // Pre-tessellated Three.js geometry
-    metadata: libraryEntry.metadata,    // Structural properties
-    variantId: variantId                // Unique identifier
-  };
-}
+export const loadJoistLibrary = (url, oc) => JoistLibrary.loadJoistLibrary(LIBRARY, url, oc);
 
 /**
- * Gets comprehensive library statistics
+ * Gets library statistics
  * 
- * Provides information about the library's capabilities and memory usage.
- * Useful for performance monitoring and system planning.
+ * Everything is worked out from the library as it stands: ranges and
+ * distinct values from the variants' metadata, the byte size of the geometry
+ * loaded so far, how many variants share each geometry and timings measured
+ * by instantiateJoistFromLibrary() (see JoistLibrary.getLibraryStats()).
  * 
- * @returns {Object} Library statistics and capabilities
+ * @returns {Object} Library statistics: counts, geometryBytes, sharing,
+ *   fields, instantiation timings and display strings (memoryFootprint, ...)
  */
-export function getLibraryStats() {
-  return {
-    totalVariants: JOIST_LIBRARY.size,
-    memoryFootprint: `~${(JOIST_LIBRARY.size * 2).toFixed(1)}MB`, // Rough estimate
-    lengthRange: "40-89 feet",
-    depthRange: "30-51 inches", 
-    webPatterns: "50 unique patterns",
-    designRevisions: "10 revisions",
-    steelGrades: "3 grades (A36, A572-50, A992)",
-    coatings: "3 types (Galvanized, Painted, Bare)",
-    instantiationSpeed: "~0.1ms per joist (pure memory lookup)"
-  };
-}
\ No newline at end of file
+export const getLibraryStats = () => JoistLibrary.getLibraryStats(LIBRARY);
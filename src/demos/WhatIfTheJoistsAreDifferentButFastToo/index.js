@@ -7,7 +7,7 @@
  * 
  * Demo Specifications:
  * - 5 floors × 10 bays × 100 joists = 5,000 total joists
- * - 1,000 unique joist variants from pre-tessellated library
+ * - 1,000 unique joist variants from a library tessellated on demand
  * - Real-time floor visibility controls
  * - Design analysis simulation with color-coded stress states
  * - Performance monitoring
@@ -21,12 +21,21 @@
 
 import initOpenCascade from "opencascade.js";
 import * as THREE from "three";
+import * as library from "./WhatIfTheJoistsAreDifferentButFastToo.js";
 import { 
   initializeJoistLibrary, 
+  loadJoistLibrary,
   instantiateJoistFromLibrary, 
-  getLibraryStats 
+  prefetchJoistVariants,
+  selectJoistVariant,
+  getLibraryStats
 } from "./WhatIfTheJoistsAreDifferentButFastToo.js";
+import { setupJoistRevisionControls } from "../Joists/JoistRevisionControls.js";
 import { setupThreeJSViewport } from "../../common/scene.js";
+import { formatLength, setDisplayUnitFromURL, toInternal } from "../../common/units.js";
+
+// Prebuilt library file (npm run build:library), relative to this page
+const LIBRARY_FILE = "../../libraries/whatif-joists.jlib";
 
 // === GLOBAL STATE MANAGEMENT ===
 // Organized storage for building components and interaction state
@@ -105,6 +114,7 @@ function updateLibraryInfo(stats, uniqueJoistCount, avgInstantiationTime) {
   const elements = {
     variants: document.getElementById("library-variants"),
     memory: document.getElementById("library-memory"),
+    sharing: document.getElementById("library-sharing"),
     specs: document.getElementById("library-specs"),
     uniqueJoists: document.getElementById("unique-joists"),
     instantiation: document.getElementById("instantiation-speed")
@@ -117,6 +127,9 @@ function updateLibraryInfo(stats, uniqueJoistCount, avgInstantiationTime) {
   if (elements.memory) {
     elements.memory.textContent = `Library Size: ${stats.memoryFootprint}`;
   }
+  if (elements.sharing) {
+    elements.sharing.textContent = `Geometry Sharing: ${stats.geometrySharing}`;
+  }
   if (elements.specs) {
     elements.specs.textContent = `Specs: ${stats.lengthRange}, ${stats.depthRange}`;
   }
@@ -309,7 +322,8 @@ function simulateDesignRun() {
 /**
  * Fast Joist Creation Using Library Approach
  * 
- * Creates thousands of joist instances using the pre-tessellated library.
+ * Creates thousands of joist instances using the library, tessellating the
+ * joists the building uses before placing them.
  * This function demonstrates the key advantage of the library approach:
  * regardless of geometric complexity, instantiation is just a fast lookup.
  * 
@@ -320,17 +334,42 @@ function simulateDesignRun() {
 async function createJoistsFromLibrary(scene, progressCallback) {
   // === BUILDING PARAMETERS ===
   const buildingConfig = {
+    units: 'ft',               // Unit of the lengths below (see common/units.js)
     joistsPerBay: 100,
     numberOfBays: 10,
     numberOfFloors: 5,
-    joistSpacing: 8 * 12,      // 8 feet in inches
-    bayWidth: 48 * 12,         // 48 feet in inches
-    storyHeight: 32 * 12       // 32 feet in inches
+    joistSpacing: 8,
+    bayWidth: 48,
+    storyHeight: 32,
+    // Loads in psf: bays cycle through the floor uses, the top floor is roof
+    floorLoads: [
+      { deadLoad: 40, liveLoad: 50 },    // Offices
+      { deadLoad: 40, liveLoad: 100 },   // Assembly
+      { deadLoad: 45, liveLoad: 125 }    // Light storage
+    ],
+    roofLoads: { deadLoad: 15, liveLoad: 20, snowLoad: 30 }
+  };
+  
+  // Lengths in inches, the model's internal unit
+  const joistSpacing = toInternal(buildingConfig.joistSpacing, buildingConfig.units);
+  const bayWidth = toInternal(buildingConfig.bayWidth, buildingConfig.units);
+  const storyHeight = toInternal(buildingConfig.storyHeight, buildingConfig.units);
+  
+  // Span and loads on a joist position; the joists at the ends of a bay
+  // carry half the spacing
+  const joistRequirements = (joistIndex, bayIndex, floorIndex) => {
+    const isEdge = joistIndex === 0 || joistIndex === buildingConfig.joistsPerBay - 1;
+    const isRoof = floorIndex === buildingConfig.numberOfFloors - 1;
+    return {
+      span: bayWidth,
+      tributaryWidth: isEdge ? joistSpacing / 2 : joistSpacing,
+      ...(isRoof ? buildingConfig.roofLoads : buildingConfig.floorLoads[bayIndex % buildingConfig.floorLoads.length])
+    };
   };
   
   const totalJoists = buildingConfig.numberOfFloors * buildingConfig.numberOfBays * buildingConfig.joistsPerBay;
-  const totalLength = (buildingConfig.joistsPerBay - 1) * buildingConfig.joistSpacing;
-  const totalWidth = buildingConfig.numberOfBays * buildingConfig.bayWidth;
+  const totalLength = (buildingConfig.joistsPerBay - 1) * joistSpacing;
+  const totalWidth = buildingConfig.numberOfBays * bayWidth;
 
   // === TRACKING VARIABLES ===
   const allMeshes = [];
@@ -349,23 +388,44 @@ async function createJoistsFromLibrary(scene, progressCallback) {
   });
 
   console.log(`Creating ${totalJoists.toLocaleString()} joists from library...`);
-  console.log(`Building dimensions: ${totalLength/12}' × ${totalWidth/12}' × ${(buildingConfig.numberOfFloors * buildingConfig.storyHeight)/12}'`);
+  console.log(`Building dimensions: ${formatLength(totalLength)} × ${formatLength(totalWidth)} × ${formatLength(buildingConfig.numberOfFloors * storyHeight)}`);
+
+  // === PREFETCH ===
+  // Load the joists this building uses up front, so the timings below
+  // measure library lookups only
+  const layoutVariants = [];
+  for (let floorIndex = 0; floorIndex < buildingConfig.numberOfFloors; floorIndex++) {
+    for (let bayIndex = 0; bayIndex < buildingConfig.numberOfBays; bayIndex++) {
+      for (let joistIndex = 0; joistIndex < buildingConfig.joistsPerBay; joistIndex++) {
+        layoutVariants.push(selectJoistVariant(joistRequirements(joistIndex, bayIndex, floorIndex)));
+      }
+    }
+  }
+  const prefetchStart = performance.now();
+  const prefetched = await prefetchJoistVariants(layoutVariants, (loaded, total) => {
+    if (progressCallback) {
+      progressCallback(`Loading joist ${loaded} of ${total} used by this building...`);
+    }
+  });
+  console.log(`Loaded ${prefetched.loaded} joists (${prefetched.fromStore} from the geometry store) in ${((performance.now() - prefetchStart) / 1000).toFixed(2)}s`);
 
   // === JOIST CREATION LOOP ===
   // Create joists floor by floor, bay by bay
   for (let floorIndex = 0; floorIndex < buildingConfig.numberOfFloors; floorIndex++) {
-    const yPosition = floorIndex * buildingConfig.storyHeight;
+    const yPosition = floorIndex * storyHeight;
     
     for (let bayIndex = 0; bayIndex < buildingConfig.numberOfBays; bayIndex++) {
       for (let joistIndex = 0; joistIndex < buildingConfig.joistsPerBay; joistIndex++) {
         // Calculate 3D position
-        const xPosition = joistIndex * buildingConfig.joistSpacing - totalLength / 2;
-        const zPosition = bayIndex * buildingConfig.bayWidth - totalWidth / 2 + buildingConfig.bayWidth / 2;
+        const xPosition = joistIndex * joistSpacing - totalLength / 2;
+        const zPosition = bayIndex * bayWidth - totalWidth / 2 + bayWidth / 2;
 
         // === FAST LIBRARY INSTANTIATION ===
-        // This is the key operation - fast lookup from pre-computed library
+        // This is the key operation - load-based selection and a fast lookup
+        // from the prefetched library
+        const requirements = joistRequirements(joistIndex, bayIndex, floorIndex);
         const instantiationStart = performance.now();
-        const joistData = instantiateJoistFromLibrary(joistIndex, bayIndex, floorIndex);
+        const joistData = await instantiateJoistFromLibrary(requirements);
         const instantiationEnd = performance.now();
         
         // Track performance and variant usage
@@ -373,16 +433,19 @@ async function createJoistsFromLibrary(scene, progressCallback) {
         uniqueVariants.add(joistData.variantId);
 
         // === MESH CREATION ===
-        // Create individual mesh using pre-tessellated geometry
+        // Create individual mesh using the library's shared geometry
         // Individual meshes allow for independent material changes (design analysis)
         const individualMaterial = baseMaterial.clone();
         const mesh = new THREE.Mesh(joistData.geometry, individualMaterial);
         mesh.position.set(xPosition, yPosition, zPosition);
+        // Mirror-image variants share their geometry with the joist they mirror
+        if (joistData.mirrored) mesh.scale.z = -1;
         
         // Store metadata for analysis and debugging
         mesh.userData = {
           variantId: joistData.variantId,
           metadata: joistData.metadata,
+          requirements: requirements,
           floor: floorIndex,
           bay: bayIndex,
           joist: joistIndex
@@ -440,9 +503,9 @@ async function createJoistsFromLibrary(scene, progressCallback) {
  * Main Application Entry Point
  * 
  * Orchestrates the entire demo workflow:
- * 1. Initialize OpenCascade and Three.js
- * 2. Build joist library (one-time cost)
- * 3. Create building with thousands of joists
+ * 1. Initialize Three.js (OpenCascade loads only if a joist must be tessellated)
+ * 2. Load the joist library catalogue
+ * 3. Tessellate the joists the building uses and create thousands of them
  * 4. Set up interactive controls
  * 5. Start performance monitoring
  */
@@ -469,32 +532,40 @@ async function main() {
   const startTime = performance.now();
 
   try {
-    // === PHASE 1: OPENCASCADE INITIALIZATION ===
-    if (progressText) progressText.innerText = "Initializing OpenCascade...";
-    const oc = await initOpenCascade();
+    // Display unit for dimensions, e.g. ?units=m (feet and inches by default)
+    setDisplayUnitFromURL();
+
+    // === PHASE 1: OPENCASCADE (ON DEMAND) ===
+    // The library loads OpenCascade only for joists missing from the
+    // geometry store, so a repeat visit can skip it entirely
 
     // === PHASE 2: LIBRARY INITIALIZATION ===
-    if (progressText) progressText.innerText = "Pre-tessellating joist library...";
-    if (timeInfo) timeInfo.innerText = "This one-time cost simulates your C++ library initialization";
+    if (progressText) progressText.innerText = "Loading joist library catalogue...";
+    if (timeInfo) timeInfo.innerText = "Joists are tessellated when a layout first needs them, then stored";
     
     const libraryStart = performance.now();
-    await initializeJoistLibrary(oc);
+    try {
+      // Prebuilt catalogue and geometry: OpenCascade only for new revisions
+      await loadJoistLibrary(LIBRARY_FILE, initOpenCascade);
+    } catch (error) {
+      console.warn(`${error.message} - building the library catalogue in the browser instead`);
+      await initializeJoistLibrary(initOpenCascade);
+    }
     const libraryEnd = performance.now();
     const libraryTime = ((libraryEnd - libraryStart) / 1000).toFixed(2);
     
-    const stats = getLibraryStats();
-    
     // === PHASE 3: JOIST INSTANTIATION ===
-    if (progressText) progressText.innerText = "Instantiating 5000 unique joists from library...";
+    if (progressText) progressText.innerText = "Selecting and instantiating 5000 joists from library...";
     if (timeInfo) timeInfo.innerText = `Library loaded in ${libraryTime}s. Now instantiating...`;
 
     const result = await createJoistsFromLibrary(scene, (message, current, total, uniqueCount, avgTime) => {
       if (progressText) progressText.innerText = message;
+      if (avgTime === undefined) return;  // Still loading the building's joists
       const elapsed = ((performance.now() - startTime) / 1000).toFixed(1);
       if (timeInfo) timeInfo.innerText = `Library: ${libraryTime}s | Instantiation: ${elapsed}s | Avg: ${avgTime}ms per joist`;
       
       // Update library info in real-time
-      updateLibraryInfo(stats, uniqueCount, avgTime);
+      updateLibraryInfo(getLibraryStats(), uniqueCount, avgTime);
     });
 
     // === PHASE 4: COMPLETION REPORTING ===
@@ -519,9 +590,10 @@ async function main() {
     }
     
     // === PHASE 5: INTERACTIVE CONTROLS SETUP ===
-    updateLibraryInfo(stats, result.uniqueVariantsUsed, result.avgInstantiationTime);
+    updateLibraryInfo(getLibraryStats(), result.uniqueVariantsUsed, result.avgInstantiationTime);
     setupFloorControls(result.numberOfFloors);
     setupDesignControls();
+    setupJoistRevisionControls(library, () => joistsByFloor.flat());
     
     // === PHASE 6: PERFORMANCE MONITORING ===
     if (scene.userData?.renderer) {
@@ -51,6 +51,7 @@ module.exports = {
     new CopyPlugin({
       patterns: [
         { from: './src/index.html', to: 'index.html' },
+        { from: './src/libraries', to: 'libraries', noErrorOnMissing: true },
       ],
     }),
   ],